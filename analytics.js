@@ -0,0 +1,80 @@
+// Conversion funnel: events sent at each step from seeing the prices to paying,
+// with the product, offer, currency and price involved, to pluggable sinks.
+// By default they are logged to the console and sent to server.js, whose report
+// at /analytics/ shows the conversion rate of each plan.
+
+/** Funnel event types. trackEvent() ignores any other type. */
+const FUNNEL_EVENTS = {
+    pricing_viewed: 'Prices were shown, `productIds` lists the products',
+    offer_clicked: 'A subscribe or purchase button was clicked',
+    checkout_succeeded: 'Back from Checkout with a confirmed purchase',
+    checkout_failed: 'Back from Checkout with a failed payment',
+    checkout_cancelled: 'Back from Checkout without paying',
+    plan_changed: 'The subscription switched to another offer',
+    portal_opened: 'Redirected to the Customer Portal'
+};
+
+const VISITOR_STORAGE_KEY = 'iaptic_demo_visitor';
+const ANALYTICS_URL = '/analytics/events';
+
+// Sends events with navigator.sendBeacon(), which isn't interrupted when the page redirects to Checkout
+function beaconSink(url) {
+    return event => navigator.sendBeacon(url, JSON.stringify(event));
+}
+
+/** Events tracked by trackEvent() are passed to each sink, see addAnalyticsSink() */
+const analyticsSinks = [
+    event => console.debug(`[funnel] ${event.type}`, event),
+    beaconSink(ANALYTICS_URL)
+];
+
+/** `sink(event)` receives every funnel event, see trackEvent() */
+function addAnalyticsSink(sink) {
+    analyticsSinks.push(sink);
+}
+
+// Random id kept in the browser, to count visitors rather than page views
+function getVisitorId() {
+    let visitorId = localStorage.getItem(VISITOR_STORAGE_KEY);
+    if (!visitorId) {
+        // Not crypto.randomUUID(), which is missing on plain HTTP pages other than localhost
+        visitorId = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(VISITOR_STORAGE_KEY, visitorId);
+    }
+    return visitorId;
+}
+
+/** Product, offer, currency and price of `offerId`, as found in the catalog */
+function getOfferContext(offerId) {
+    // Back from Checkout, the page may still be loading the catalog
+    const products = currentProducts.length > 0 ? currentProducts : getCachedProducts() || [];
+    const product = products.find(p => p.offers.some(o => o.id === offerId));
+    const phase = product?.offers.find(o => o.id === offerId).pricingPhases.slice(-1)[0];
+    return {
+        productId: product?.id || null,
+        offerId: offerId || null,
+        currency: phase?.currency.toUpperCase() || null,
+        priceMicros: phase?.priceMicros ?? null,
+        billingPeriod: phase?.billingPeriod || null
+    };
+}
+
+/**
+ * Sends a funnel event of `type` (see FUNNEL_EVENTS) to the sinks. `context`
+ * is usually getOfferContext(offerId). Returns the event.
+ */
+function trackEvent(type, context = {}) {
+    if (!FUNNEL_EVENTS[type]) {
+        console.warn(`Unknown funnel event: ${type}`);
+        return null;
+    }
+    const event = { type, ...context, visitorId: getVisitorId(), date: new Date().toISOString() };
+    for (const sink of analyticsSinks) {
+        try {
+            sink(event);
+        } catch (sinkError) {
+            console.error('Analytics sink failed:', sinkError);
+        }
+    }
+    return event;
+}
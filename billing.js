@@ -0,0 +1,51 @@
+// Payment problems of subscriptions, recognized by getPurchaseStatus() from the
+// purchase fields iaptic reports:
+// - gracePeriod: a renewal payment failed (`isBillingRetryPeriod`) and is being
+//   retried, access continues until `gracePeriodExpirationDate`;
+// - billingRetry: same, without a grace period or once it's over: access is suspended;
+// - pastDue: the renewal date passed without a payment, nor a failure reported yet.
+// Once Stripe gives up retrying, the subscription is cancelled with the
+// `System.BillingError` reason.
+
+const BILLING_ISSUE_STATUSES = ['gracePeriod', 'billingRetry', 'pastDue'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Whole days of access left, 0 once access is suspended
+function getDaysOfAccessLeft(purchase, now = new Date()) {
+    const end = getPurchaseStatus(purchase) === 'gracePeriod' ? purchase.gracePeriodExpirationDate : purchase.expirationDate;
+    return Math.max(Math.ceil((new Date(end) - now) / DAY), 0);
+}
+
+// Why a purchase was cancelled, in plain language. iaptic reasons are like
+// "Customer.Cost": unknown ones are described by their category, "Customer".
+function describeCancelationReason(reason) {
+    for (const key of [reason, reason.split('.')[0]]) {
+        if (hasTranslation(`cancelationReason.${key}`)) return t(`cancelationReason.${key}`);
+    }
+    return t('cancelationReason.Unknown');
+}
+
+// Banner at the top of the subscription panel, with the time left and a button to fix the payment
+function renderBillingIssueBanner(purchase) {
+    const status = getPurchaseStatus(purchase);
+    if (!BILLING_ISSUE_STATUSES.includes(status)) return '';
+    const isSuspended = status !== 'gracePeriod';
+    return html`
+        <div class="alert alert-${isSuspended ? 'danger' : 'warning'} mb-4" role="alert">
+            <h4 class="alert-title">${t(`billing.${status}.title`)}</h4>
+            <div class="text-muted">
+                ${t(`billing.${status}.text`, {
+                    count: getDaysOfAccessLeft(purchase),
+                    amount: formatPrice(purchase.amountMicros, purchase.currency),
+                    date: formatDate(isSuspended ? purchase.expirationDate : purchase.gracePeriodExpirationDate)
+                })}
+            </div>
+            <div class="mt-2">
+                <button class="btn btn-sm btn-${isSuspended ? 'danger' : 'warning'}" data-action="update-payment-method">
+                    ${t('billing.updatePaymentMethod')}
+                </button>
+            </div>
+        </div>
+    `;
+}
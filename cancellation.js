@@ -0,0 +1,149 @@
+// In-app cancellation: a short survey on why the subscriber leaves, then a
+// retention offer matching their answer (a cheaper plan or a pause) next to the
+// confirmation of when their access ends. Answers are stored by server.js for
+// the product team, see server/cancellations.js.
+
+const CANCELLATION_REASONS = ['too_expensive', 'not_using', 'missing_features', 'switching', 'technical_issues', 'other'];
+
+// How long the pause offered to subscribers who don't use the product much lasts
+const PAUSE_PERIOD = 'P1M';
+
+/** Survey answered in the cancel dialog, `{ purchaseId, productId, reason, comment }` (`null` if none) */
+let cancellationSurvey = null;
+
+// The closest cheaper plan with the same billing period and currency, `null` if there's none.
+// Prices are compared per seat, `amountMicros` being the total paid for the seats of team plans.
+function getDowngradeOffer(products, purchase) {
+    const currentOffer = products.flatMap(p => p.offers).find(o => o.id === purchase.offerId);
+    const period = currentOffer?.pricingPhases.slice(-1)[0].billingPeriod;
+    const pricePerSeat = purchase.amountMicros / (purchase.quantity || 1);
+    const candidates = products
+        .filter(p => p.type === 'paid subscription' && p.metadata?.canPurchase !== 'false')
+        .flatMap(product => product.offers.map(offer => ({ product, offer, phase: offer.pricingPhases.slice(-1)[0] })))
+        .filter(({ offer, phase }) => getOfferCurrency(offer) === purchase.currency.toUpperCase()
+            && phase.billingPeriod === period
+            && phase.priceMicros > 0
+            && phase.priceMicros < pricePerSeat)
+        .sort((a, b) => b.phase.priceMicros - a.phase.priceMicros);
+    return candidates[0] || null;
+}
+
+// When payments would resume if the subscription is paused: one pause period after the paid one
+function getPauseEndDate(purchase) {
+    return addPeriod(purchase.expirationDate, PAUSE_PERIOD);
+}
+
+// Only the mock pauses subscriptions: neither the iaptic API nor the Customer Portal can (see server/iaptic.js)
+function canPauseSubscriptions() {
+    return window.IAPTIC_STRIPE_CREDENTIALS?.type === 'mock';
+}
+
+// Offers worth making for `reason`, most relevant first: a pause to those who
+// don't use the product much, a cheaper plan to everyone else. Trials have
+// nothing to pause.
+function getRetentionOffers(reason, purchase, downgrade) {
+    const offers = reason === 'not_using' ? ['pause', 'downgrade'] : ['downgrade', 'pause'];
+    return offers.filter(offer => offer === 'downgrade' ? downgrade : !purchase.isTrialPeriod && canPauseSubscriptions());
+}
+
+// Stores the survey with what the subscriber decided. It's only feedback: failures are reported, not shown.
+async function saveCancellationSurvey(outcome) {
+    if (!cancellationSurvey) return;
+    const survey = { ...cancellationSurvey, outcome };
+    cancellationSurvey = null;
+    try {
+        await apiRequest('POST', '/api/cancellation-surveys', survey);
+    } catch (error) {
+        reportError(error, 'cancellationSurvey');
+    }
+}
+
+/**
+ * First step of the cancel dialog: why the subscriber leaves, submitted with
+ * the `submit-cancel-survey` action.
+ */
+function renderCancelSurveyDialog(product) {
+    return html`
+        <dialog class="modal-content border-0 shadow p-0" style="max-width: 36rem">
+            <form data-action="submit-cancel-survey">
+                <div class="modal-header">
+                    <h5 class="modal-title">${t('cancellation.title', { plan: product?.title || t('subscription.defaultTitle') })}</h5>
+                </div>
+                <div class="modal-body">
+                    <p>${t('cancellation.question')}</p>
+                    <div class="mb-3">
+                        ${CANCELLATION_REASONS.map(reason => html`
+                            <label class="form-check">
+                                <input class="form-check-input" type="radio" name="reason" value="${reason}" required>
+                                <span class="form-check-label">${t(`cancellation.reason.${reason}`)}</span>
+                            </label>
+                        `)}
+                    </div>
+                    <textarea class="form-control" name="comment" rows="3" maxlength="1000"
+                              placeholder="${t('cancellation.comment')}" aria-label="${t('cancellation.comment')}"></textarea>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-link" data-action="close-dialog">${t('cancellation.keep')}</button>
+                    <button class="btn btn-primary">${t('cancellation.continue')}</button>
+                </div>
+            </form>
+        </dialog>
+    `;
+}
+
+/**
+ * Second step: the retention `offers` (see getRetentionOffers()) and the
+ * confirmation of when access ends.
+ */
+function renderRetentionDialog({ purchase, product, downgrade, offers }) {
+    const endDate = formatDate(purchase.expirationDate);
+    return html`
+        <dialog class="modal-content border-0 shadow p-0" style="max-width: 36rem">
+            <div class="modal-header">
+                <h5 class="modal-title">${offers.length > 0 ? t('cancellation.offerTitle') : t('cancellation.confirmTitle')}</h5>
+            </div>
+            <div class="modal-body">
+                ${offers.map(offer => offer === 'downgrade' ? html`
+                    <div class="card card-sm mb-3">
+                        <div class="card-body d-flex align-items-center gap-3">
+                            <div class="flex-fill">
+                                <div class="fw-bold">${t('cancellation.downgrade', { plan: downgrade.product.title })}</div>
+                                <div class="text-muted">
+                                    ${t('cancellation.downgradeText', {
+                                        price: `${formatPrice(downgrade.phase.priceMicros, downgrade.phase.currency)}/${formatPeriod(downgrade.phase.billingPeriod)}`,
+                                        date: endDate
+                                    })}
+                                </div>
+                            </div>
+                            <button class="btn btn-primary" data-action="accept-retention-offer" data-offer="downgrade"
+                                    data-offer-id="${downgrade.offer.id}">
+                                ${t('cancellation.downgradeAction')}
+                            </button>
+                        </div>
+                    </div>
+                ` : html`
+                    <div class="card card-sm mb-3">
+                        <div class="card-body d-flex align-items-center gap-3">
+                            <div class="flex-fill">
+                                <div class="fw-bold">${t('cancellation.pause', { duration: formatDuration(PAUSE_PERIOD) })}</div>
+                                <div class="text-muted">
+                                    ${t('cancellation.pauseText', { date: endDate, resumeDate: formatDate(getPauseEndDate(purchase)) })}
+                                </div>
+                            </div>
+                            <button class="btn btn-primary" data-action="accept-retention-offer" data-offer="pause">
+                                ${t('cancellation.pauseAction')}
+                            </button>
+                        </div>
+                    </div>
+                `)}
+                <p class="mb-0">
+                    ${t('cancellation.accessUntil', { plan: product?.title || t('subscription.defaultTitle'), date: endDate })}
+                </p>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-link" data-action="keep-subscription">${t('cancellation.keep')}</button>
+                <button type="button" class="btn btn-outline-danger" data-action="confirm-cancel">${t('cancellation.confirm')}</button>
+            </div>
+        </dialog>
+    `;
+}
@@ -0,0 +1,76 @@
+// Confirmation of a checkout once Stripe redirects back to the page.
+// Stripe redirects as soon as the payment is submitted, the purchase only
+// shows up once iaptic has processed it, so purchases are polled until then.
+
+const CHECKOUT_STORAGE_KEY = 'iaptic_demo_checkout';
+
+// Delays between two checks of the purchases, about 30 seconds in total
+const CHECKOUT_POLL_DELAYS = [1000, 2000, 3000, 5000, 8000, 12000];
+
+/**
+ * Remembers what is being bought before redirecting to Checkout, along with
+ * the transactions already known, to recognize the new purchase afterwards.
+ */
+async function saveCheckout(offerId) {
+    const product = currentProducts.find(p => p.offers.some(o => o.id === offerId));
+    let purchases = [];
+    try {
+        purchases = await loadPurchases();
+    } catch (error) {
+        reportError(error, 'checkout');
+    }
+    sessionStorage.setItem(CHECKOUT_STORAGE_KEY, JSON.stringify({
+        offerId,
+        productId: product ? `stripe:${product.id}` : null,
+        knownTransactions: purchases.map(p => p.transactionId)
+    }));
+}
+
+/** The checkout saved by saveCheckout(), `null` if there is none */
+function getSavedCheckout() {
+    try {
+        return JSON.parse(sessionStorage.getItem(CHECKOUT_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+function clearSavedCheckout() {
+    sessionStorage.removeItem(CHECKOUT_STORAGE_KEY);
+}
+
+function findCheckoutPurchase(checkout, purchases) {
+    return purchases.find(p =>
+        (p.offerId === checkout.offerId || p.productId === checkout.productId) &&
+        !checkout.knownTransactions.includes(p.transactionId)
+    );
+}
+
+function wait(delay) {
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Polls purchases until the one bought in `checkout` shows up. Resolves with
+ * `{ state, purchase }`, `state` being `confirmed`, `failed` (the payment was
+ * declined) or `timeout` (nothing showed up, which doesn't mean it failed).
+ */
+async function confirmCheckout(checkout) {
+    for (const delay of [0, ...CHECKOUT_POLL_DELAYS]) {
+        await wait(delay);
+        invalidatePurchases();
+        let purchases;
+        try {
+            purchases = await loadPurchases();
+        } catch (error) {
+            reportError(error, 'checkout');
+            continue;
+        }
+        const purchase = findCheckoutPurchase(checkout, purchases);
+        if (purchase) {
+            const status = getPurchaseStatus(purchase);
+            return { state: status === 'cancelled' || status === 'expired' ? 'failed' : 'confirmed', purchase };
+        }
+    }
+    return { state: 'timeout' };
+}
@@ -0,0 +1,130 @@
+// Pieces shared by the pricing grid, the change-plan grid and the subscription panel.
+// They all return html`` templates, see render.js.
+
+function isSubscriptionPurchase(purchase) {
+    return Boolean(purchase.renewalIntent && purchase.expirationDate);
+}
+
+/**
+ * One of active, canceling, gracePeriod, billingRetry, pastDue, expired,
+ * cancelled for subscriptions, owned or cancelled for one-time purchases.
+ * gracePeriod, billingRetry and pastDue are payment problems, see billing.js.
+ */
+function getPurchaseStatus(purchase) {
+    const now = new Date();
+    if (purchase.cancelationReason) return 'cancelled';
+    if (!isSubscriptionPurchase(purchase)) return 'owned';
+    // A renewal payment failed and is being retried, access may continue for a grace period
+    if (purchase.isBillingRetryPeriod) {
+        return new Date(purchase.gracePeriodExpirationDate) > now ? 'gracePeriod' : 'billingRetry';
+    }
+    if (new Date(purchase.expirationDate) <= now) {
+        // Due for renewal but not paid. Paused subscriptions aren't billed until they resume.
+        const isPaused = purchase.pause && new Date(purchase.pause.resumesAt) > now;
+        return purchase.renewalIntent === 'Renew' && !isPaused ? 'pastDue' : 'expired';
+    }
+    return purchase.renewalIntent === 'Renew' ? 'active' : 'canceling';
+}
+
+const STATUS_BADGE_CLASSES = {
+    active: 'bg-success-lt',
+    owned: 'bg-success-lt',
+    canceling: 'bg-warning-lt',
+    gracePeriod: 'bg-warning-lt',
+    billingRetry: 'bg-danger-lt',
+    pastDue: 'bg-danger-lt',
+    expired: 'bg-secondary-lt',
+    cancelled: 'bg-danger-lt'
+};
+
+function renderStatusBadge(purchase) {
+    const status = getPurchaseStatus(purchase);
+    return html`<span class="badge ${STATUS_BADGE_CLASSES[status]}">${t(`status.${status}`)}</span>`;
+}
+
+function renderOfferButton(action, offer, label) {
+    return html`
+        <button class="btn btn-primary btn-sm" data-action="${action}" data-offer-id="${offer.id}">
+            ${label}
+        </button>
+    `;
+}
+
+function getTrialPhase(offer) {
+    return offer?.pricingPhases.find(phase => phase.paymentMode === 'FreeTrial');
+}
+
+// "Free for 14 days", "$5.00/month for 3 months": a phase that comes before the recurring price
+function describeIntroPhase(phase) {
+    const duration = formatDuration(phase.billingPeriod, phase.billingCycles || 1);
+    if (phase.paymentMode === 'FreeTrial' || phase.priceMicros === 0) {
+        return t('phase.freeTrial', { duration });
+    }
+    const price = formatPrice(phase.priceMicros, phase.currency);
+    if (phase.paymentMode === 'PayUpFront') return t('phase.upFront', { price, duration });
+    return t('phase.intro', { price, period: formatPeriod(phase.billingPeriod), duration });
+}
+
+/**
+ * Every phase of a subscription offer: trial and introductory prices, then the
+ * recurring price and billing period, followed by `action` (a button or a badge).
+ */
+function renderOfferRow(offer, action) {
+    const introPhases = offer.pricingPhases.slice(0, -1);
+    const phase = offer.pricingPhases.slice(-1)[0];
+    return html`
+        <div class="mb-2 text-center">
+            ${introPhases.map(intro => html`
+                <div class="mb-1"><span class="badge bg-green-lt">${describeIntroPhase(intro)}</span></div>
+            `)}
+            <div class="h4 mb-1">
+                ${introPhases.length > 0 ? html`<small class="text-muted">${t('phase.then')}</small>` : ''}
+                ${formatPrice(phase.priceMicros, phase.currency)}
+                <small class="text-muted">/${formatPeriod(phase.billingPeriod)}</small>
+            </div>
+            ${action}
+        </div>
+    `;
+}
+
+// Badges for the features stored in the product's metadata, see features.js
+function renderProductFeatures(product) {
+    const badges = getFeatures([product]).map(feature => renderFeatureBadge(feature, product));
+    if (badges.every(badge => badge === '')) return '';
+    return html`<div class="text-center mb-3">${badges}</div>`;
+}
+
+// Shown when a product's prices are not in the currency the visitor picked (`wanted`)
+function renderCurrencyFallbackNote(currency, wanted = currentCurrency) {
+    if (!currency || currency === wanted) return '';
+    return html`
+        <div class="text-center text-muted small mb-2">
+            ${t('currency.fallback', { wanted, currency })}
+        </div>
+    `;
+}
+
+/**
+ * Card presenting a product: title, description and features, then `content`
+ * (its offers or price). `currency` is the currency its prices are shown in,
+ * `wantedCurrency` the one they were asked in.
+ */
+function renderPriceCard({ product, content, currency, wantedCurrency, highlighted = false }) {
+    return html`
+        <div class="col-3">
+            <div class="card h-100 ${highlighted ? 'bg-primary-lt' : ''}">
+                <div class="card-body">
+                    <div class="text-center mb-3">
+                        <h5 class="mb-1">${product.title}</h5>
+                        <div class="text-muted small">
+                            ${product.description || ''}
+                        </div>
+                    </div>
+                    ${renderProductFeatures(product)}
+                    ${renderCurrencyFallbackNote(currency, wantedCurrency)}
+                    ${content}
+                </div>
+            </div>
+        </div>
+    `;
+}
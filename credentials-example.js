@@ -1,6 +0,0 @@
-window.IAPTIC_STRIPE_CREDENTIALS = {
-  type: 'stripe',
-  stripePublicKey: 'pk_test_XXX',
-  appName: 'XXX',
-  apiKey: 'xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx'
-};
@@ -0,0 +1,112 @@
+// Custom elements to embed the demo in another page:
+//
+//     <iaptic-subscription-status></iaptic-subscription-status>
+//     <iaptic-pricing-table currency="EUR" products="prod_basic,prod_pro"></iaptic-pricing-table>
+//     <iaptic-purchase-button offer-id="stripe:price_request_pack_usd" label="Buy more requests"></iaptic-purchase-button>
+//
+// index.js loads the catalog and purchases and renders every element of the
+// page. Each element also accepts `theme` ("light" or "dark") and, on the first
+// element of the page, `app-name` for pages that don't load credentials.js.
+// There is no attribute for keys: server.js calls iaptic, see iaptic-proxy.js.
+//
+// Elements dispatch these events, which bubble up to the document:
+// - iaptic-checkout { offerId }: before redirecting to Checkout, preventDefault() to cancel
+// - iaptic-purchase { purchase }: a purchase was confirmed after Checkout
+// - iaptic-cancel { offerId }: the visitor left Checkout without paying
+// - iaptic-plan-change { offerId, effectiveAt }: the subscription changed plans
+
+const IAPTIC_ELEMENTS = 'iaptic-subscription-status, iaptic-pricing-table, iaptic-purchase-button';
+
+/**
+ * Dispatches `name` on `source`, or the document for events that don't come
+ * from an element. Returns `false` if a listener called preventDefault().
+ */
+function dispatchIapticEvent(source, name, detail, { cancelable = false } = {}) {
+    const target = source?.isConnected ? source : document;
+    return target.dispatchEvent(new CustomEvent(name, { detail, bubbles: true, composed: true, cancelable }));
+}
+
+// Re-renders the elements after the catalog or purchases changed
+function updateIapticElements() {
+    document.querySelectorAll('iaptic-pricing-table, iaptic-purchase-button').forEach(element => element.update?.());
+}
+
+// App name set as an attribute, which replaces the one from credentials.js
+function configureFromAttributes(element) {
+    const appName = element.getAttribute('app-name');
+    if (!appName || appName === window.IAPTIC_STRIPE_CREDENTIALS?.appName) return;
+    window.IAPTIC_STRIPE_CREDENTIALS = { type: 'stripe', ...window.IAPTIC_STRIPE_CREDENTIALS, appName };
+    iaptic = createIaptic(currentUser);
+}
+
+class IapticElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['theme'];
+    }
+
+    connectedCallback() {
+        configureFromAttributes(this);
+        this.applyTheme();
+        this.update();
+    }
+
+    attributeChangedCallback() {
+        if (!this.isConnected) return;
+        this.applyTheme();
+        this.update();
+    }
+
+    // Tabler switches between its light and dark styles with data-bs-theme
+    applyTheme() {
+        const theme = this.getAttribute('theme');
+        if (theme) {
+            this.setAttribute('data-bs-theme', theme);
+        } else {
+            this.removeAttribute('data-bs-theme');
+        }
+    }
+
+    update() {}
+}
+
+/** Details of the user's current subscription, empty for anonymous visitors and non-subscribers */
+class IapticSubscriptionStatus extends IapticElement {
+    update() {
+        if (currentProducts.length === 0) return; // Rendered by displayPurchases() once loaded
+        render(this, renderSubscriptionDetails(currentProducts, currentPurchases));
+    }
+}
+
+/** Plans and one-time products. `currency` overrides the visitor's currency, `products` is a list of product ids */
+class IapticPricingTable extends IapticElement {
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'currency', 'products'];
+    }
+
+    update() {
+        if (currentProducts.length === 0) return; // Rendered by displayPrices() once loaded
+        const productIds = this.getAttribute('products');
+        render(this, renderPricingTable({
+            currency: this.getAttribute('currency')?.toUpperCase() || currentCurrency,
+            productIds: productIds ? productIds.split(',').map(id => id.trim()) : null
+        }));
+    }
+}
+
+/** Button buying the offer `offer-id`. `label` replaces the default text, which includes the price. */
+class IapticPurchaseButton extends IapticElement {
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'offer-id', 'label'];
+    }
+
+    update() {
+        render(this, renderPurchaseButton({
+            offerId: this.getAttribute('offer-id'),
+            label: this.getAttribute('label')
+        }));
+    }
+}
+
+customElements.define('iaptic-subscription-status', IapticSubscriptionStatus);
+customElements.define('iaptic-pricing-table', IapticPricingTable);
+customElements.define('iaptic-purchase-button', IapticPurchaseButton);
@@ -0,0 +1,76 @@
+// Errors of iaptic, Stripe and server.js, sorted into a few kinds that tell the
+// user what to do about them, and reported to pluggable sinks.
+
+/**
+ * Kinds of errors. Transient ones can be retried as is, invalid offers after
+ * reloading the catalog, auth errors need someone to fix the configuration.
+ */
+const ERROR_KINDS = {
+    network: { transient: true },
+    auth: { transient: false },
+    invalidOffer: { transient: false },
+    provider: { transient: true },
+    unknown: { transient: true }
+};
+
+const AUTH_ERROR_CODES = ['MissingCredentials', 'InvalidConfiguration', 'Unauthorized', 'Forbidden', 'InvalidApiKey'];
+const INVALID_OFFER_CODES = ['OfferNotFound', 'ProductNotFound', 'InvalidOffer', 'InvalidPrice'];
+
+/** Errors reported by reportError() are passed to each sink, see addErrorSink() */
+const errorSinks = [
+    (report, error) => console.error(`[${report.kind}] ${report.context}:`, error)
+];
+
+function classifyError(error) {
+    const status = error?.status || error?.statusCode;
+    const message = String(error?.message || '');
+    // fetch() rejects with a TypeError when the request couldn't be sent
+    if (error?.name === 'TypeError' && /fetch|network|load failed/i.test(message)) return 'network';
+    if (navigator.onLine === false) return 'network';
+    if (AUTH_ERROR_CODES.includes(error?.code) || status === 401 || status === 403 ||
+        /api ?key|unauthori[sz]ed|credentials/i.test(message)) return 'auth';
+    if (INVALID_OFFER_CODES.includes(error?.code) || /(offer|price|product).*(not found|does not exist|invalid)/i.test(message)) {
+        return 'invalidOffer';
+    }
+    if (error?.code || status) return 'provider';
+    return 'unknown';
+}
+
+/** `sink(report, error)` receives `{ kind, context, code, message, date }` for every reported error */
+function addErrorSink(sink) {
+    errorSinks.push(sink);
+}
+
+// `context` names what failed, e.g. "checkout"
+function reportError(error, context) {
+    const report = {
+        kind: classifyError(error),
+        context,
+        code: error?.code || null,
+        message: String(error?.message || error),
+        date: new Date().toISOString()
+    };
+    for (const sink of errorSinks) {
+        try {
+            sink(report, error);
+        } catch (sinkError) {
+            console.error('Error sink failed:', sinkError);
+        }
+    }
+    return report;
+}
+
+/**
+ * Alert explaining `error`. `title` says what failed, the text depends on the
+ * kind of error. `action` is a button to recover, if any.
+ */
+function renderErrorAlert(error, { title, action } = {}) {
+    const kind = classifyError(error);
+    return html`
+        <div class="alert alert-${kind === 'auth' ? 'danger' : 'warning'}" role="alert">
+            <h4 class="alert-title">${title || t(`failure.${kind}.title`)}</h4>
+            <div class="text-muted">${t(`failure.${kind}.text`)}</div>
+            ${action ? html`<div class="mt-2">${action}</div>` : ''}
+        </div>
+    `;
+}
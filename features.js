@@ -0,0 +1,91 @@
+// Plan features, read from the metadata of the Stripe products.
+//
+// FEATURE_SCHEMA lists the metadata keys with a dedicated label, tooltip and
+// formatter. Any other metadata key starting with "feature_" gets a row as
+// well, so a feature can be added from the Stripe dashboard alone: its label is
+// the `feature.<name>` translation if there is one, else the key itself
+// ("feature_custom_domains" => "Custom domains").
+
+const FEATURE_PREFIX = 'feature_';
+
+/**
+ * `key` is the product metadata key, `label` and `tooltip` translation keys.
+ * `format(value, product)` turns the metadata string into what is displayed.
+ */
+const FEATURE_SCHEMA = [
+    { key: 'quota', label: 'feature.quota', tooltip: 'feature.quota.tooltip', format: formatQuota },
+    { key: 'supportLevel', label: 'feature.supportLevel', tooltip: 'feature.supportLevel.tooltip', format: formatSupportLevel }
+];
+
+// Requests included: per month for plans, in total for request packs
+function formatQuota(value, product) {
+    const key = product.type === 'paid subscription' ? 'quota.perMonth' : 'quota.pack';
+    return t(key, { count: Number(value) });
+}
+
+function formatSupportLevel(value) {
+    return hasTranslation(`support.${value}`) ? t(`support.${value}`) : t('support.default');
+}
+
+// Formatter of the features that aren't in the schema
+function formatFeatureValue(value) {
+    if (value === 'true') return html`<span class="text-success" title="${t('feature.yes')}">✓</span>`;
+    if (value === 'false' || value === '') return html`<span class="text-muted" title="${t('feature.no')}">—</span>`;
+    return /^\d+(\.\d+)?$/.test(value) ? formatNumber(Number(value)) : value;
+}
+
+function getFeatureDefinition(key) {
+    const feature = FEATURE_SCHEMA.find(f => f.key === key);
+    if (feature) return feature;
+    const name = key.slice(FEATURE_PREFIX.length);
+    return {
+        key,
+        label: hasTranslation(`feature.${name}`) ? `feature.${name}` : null,
+        defaultLabel: name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, ' '),
+        tooltip: `feature.${name}.tooltip`,
+        format: formatFeatureValue
+    };
+}
+
+// Plans with the `recommended` metadata set to "true" are highlighted
+function isRecommendedPlan(product) {
+    return product.metadata?.recommended === 'true';
+}
+
+/** Features set on at least one of `products`, schema features first */
+function getFeatures(products) {
+    const keys = new Set(products.flatMap(p => Object.keys(p.metadata || {})));
+    const genericKeys = [...keys].filter(key => key.startsWith(FEATURE_PREFIX));
+    return [
+        ...FEATURE_SCHEMA.filter(feature => keys.has(feature.key)),
+        ...genericKeys.map(getFeatureDefinition)
+    ];
+}
+
+function getFeatureLabel(feature) {
+    return feature.label ? t(feature.label) : feature.defaultLabel;
+}
+
+function getFeatureTooltip(feature) {
+    return hasTranslation(feature.tooltip) ? t(feature.tooltip) : null;
+}
+
+/** The product's value of `feature`, formatted, `null` if not set */
+function renderFeatureValue(feature, product) {
+    const value = product.metadata?.[feature.key];
+    return value === undefined ? null : feature.format(value, product);
+}
+
+// Short form for cards: schema values speak for themselves, other features show their label
+function renderFeatureBadge(feature, product) {
+    const value = product.metadata?.[feature.key];
+    if (value === undefined || value === 'false' || value === '') return '';
+    const text = FEATURE_SCHEMA.includes(feature) ? feature.format(value, product)
+        : value === 'true' ? getFeatureLabel(feature)
+        : html`${getFeatureLabel(feature)}: ${feature.format(value, product)}`;
+    return html`
+        <div class="mb-1">
+            <span class="badge bg-blue-lt">${text}</span>
+        </div>
+    `;
+}
@@ -0,0 +1,119 @@
+// Translations and locale-aware formatting for the demo UI.
+// Catalogs are in locales/, each one registers itself in window.IAPTIC_DEMO_LOCALES.
+window.IAPTIC_DEMO_LOCALES = window.IAPTIC_DEMO_LOCALES || {};
+
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_STORAGE_KEY = 'iaptic_demo_language';
+
+/** Language the UI is displayed in, see resolveLanguage() */
+let currentLanguage = DEFAULT_LANGUAGE;
+
+function getAvailableLanguages() {
+    return Object.keys(window.IAPTIC_DEMO_LOCALES);
+}
+
+// First available language among the browser's preferred ones
+function detectLanguage() {
+    for (const language of navigator.languages || [navigator.language]) {
+        const base = String(language).split('-')[0].toLowerCase();
+        if (getAvailableLanguages().includes(base)) return base;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+// Sets currentLanguage from the user's saved choice, the browser's choice or the locale
+function resolveLanguage(saved) {
+    const language = saved || localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    setLanguage(getAvailableLanguages().includes(language) ? language : detectLanguage());
+}
+
+function setLanguage(language) {
+    currentLanguage = language;
+    document.documentElement.lang = language;
+}
+
+/**
+ * Translates `key`, replacing `{name}` placeholders with `params`.
+ * Entries with plural forms (`{ one, other, ... }`) are selected with `params.count`.
+ * Falls back to English, then to the key itself.
+ */
+function t(key, params = {}) {
+    const entry = window.IAPTIC_DEMO_LOCALES[currentLanguage]?.[key]
+        ?? window.IAPTIC_DEMO_LOCALES[DEFAULT_LANGUAGE]?.[key]
+        ?? key;
+    const text = typeof entry === 'object'
+        ? entry[new Intl.PluralRules(currentLanguage).select(params.count)] ?? entry.other
+        : entry;
+    return text.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : params[name];
+    });
+}
+
+function hasTranslation(key) {
+    return key in (window.IAPTIC_DEMO_LOCALES[currentLanguage] || {})
+        || key in (window.IAPTIC_DEMO_LOCALES[DEFAULT_LANGUAGE] || {});
+}
+
+function formatNumber(value) {
+    return new Intl.NumberFormat(currentLanguage).format(value);
+}
+
+function formatPrice(priceMicros, currency) {
+    return new Intl.NumberFormat(currentLanguage, { style: 'currency', currency }).format(priceMicros / 1000000);
+}
+
+function formatDate(value) {
+    if (!value) return '';
+    return new Intl.DateTimeFormat(currentLanguage, { dateStyle: 'medium' }).format(new Date(value));
+}
+
+const PERIOD_UNITS = { D: 'day', W: 'week', M: 'month', Y: 'year' };
+
+// "P3M" => { unit: 'month', count: 3 }, null for periods mixing several units
+function parseIsoPeriod(isoPeriod) {
+    const match = /^P(\d+)([DWMY])$/.exec(isoPeriod || '');
+    return match ? { unit: PERIOD_UNITS[match[2]], count: Number(match[1]) } : null;
+}
+
+// `date` plus one `isoPeriod`, e.g. when a subscription started at `date` renews
+function addPeriod(date, isoPeriod) {
+    const result = new Date(date);
+    const period = parseIsoPeriod(isoPeriod);
+    if (period?.unit === 'year') result.setFullYear(result.getFullYear() + period.count);
+    if (period?.unit === 'month') result.setMonth(result.getMonth() + period.count);
+    if (period?.unit === 'week') result.setDate(result.getDate() + period.count * 7);
+    if (period?.unit === 'day') result.setDate(result.getDate() + period.count);
+    return result;
+}
+
+// "month", "3 months": the length of a period, as in "$10 / month"
+function formatPeriod(isoPeriod) {
+    const period = parseIsoPeriod(isoPeriod);
+    return period ? t(`period.${period.unit}`, { count: period.count }) : isoPeriod;
+}
+
+// "14 days", "3 months": how long `cycles` repetitions of a period last
+function formatDuration(isoPeriod, cycles = 1) {
+    const period = parseIsoPeriod(isoPeriod);
+    return period ? t(`duration.${period.unit}`, { count: period.count * cycles }) : isoPeriod;
+}
+
+// "in 5 days", "in 3 hours": time left until `date`
+function formatTimeLeft(date) {
+    const hours = Math.max((new Date(date) - Date.now()) / 3600000, 0);
+    const format = new Intl.RelativeTimeFormat(currentLanguage, { numeric: 'auto' });
+    return hours >= 24 ? format.format(Math.round(hours / 24), 'day') : format.format(Math.ceil(hours), 'hour');
+}
+
+// "Monthly", "Every 3 months": how often a subscription is billed
+function formatBillingPeriod(isoPeriod) {
+    const period = parseIsoPeriod(isoPeriod);
+    return period ? t(`billing.${period.unit}`, { count: period.count }) : isoPeriod;
+}
+
+// "monthly", "every 3 months": same, to be used within a sentence
+function formatBillingAdverb(isoPeriod) {
+    const period = parseIsoPeriod(isoPeriod);
+    return period ? t(`billingAdverb.${period.unit}`, { count: period.count }) : isoPeriod;
+}
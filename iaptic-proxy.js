@@ -0,0 +1,83 @@
+// Browser side of the iaptic proxy of server.js (see server/iaptic-proxy.js).
+// Implements the subset of the IapticStripe adapter used by index.js, without
+// any key: server.js calls iaptic for the signed-in user, using the session cookie.
+window.IapticProxy = (function () {
+    class IapticProxyAdapter {
+        constructor(config) {
+            this.baseUrl = config.proxyUrl || '/api/iaptic';
+            // Purchases are only available once signed in
+            this.applicationUsername = config.applicationUsername;
+        }
+
+        async getProducts() {
+            const { products } = await this.request('GET', '/products');
+            return products;
+        }
+
+        async getPurchases() {
+            if (!this.applicationUsername) return [];
+            const { purchases } = await this.request('GET', '/purchases');
+            return purchases;
+        }
+
+        async initCheckoutSession(params) {
+            return this.checkout(params);
+        }
+
+        async order(params) {
+            return this.checkout(params);
+        }
+
+        async changePlan({ offerId, effectiveAt }) {
+            const { purchase } = await this.request('POST', '/change-plan', { offerId, effectiveAt });
+            return purchase;
+        }
+
+        async cancelSubscription({ purchaseId }) {
+            const { purchase } = await this.request('POST', '/cancel', { purchaseId });
+            return purchase;
+        }
+
+        async resumeSubscription({ purchaseId }) {
+            const { purchase } = await this.request('POST', '/resume', { purchaseId });
+            return purchase;
+        }
+
+        async pauseSubscription({ purchaseId, resumesAt }) {
+            const { purchase } = await this.request('POST', '/pause', { purchaseId, resumesAt });
+            return purchase;
+        }
+
+        async redirectToCustomerPortal({ returnUrl, flow }) {
+            const { url } = await this.request('POST', '/portal', { returnUrl, flow });
+            window.location.href = url;
+        }
+
+        async checkout({ offerId, successUrl, cancelUrl, promotionCode, quantity }) {
+            const { url } = await this.request('POST', '/checkout', { offerId, successUrl, cancelUrl, promotionCode, quantity });
+            window.location.href = url;
+        }
+
+        async request(method, path, body) {
+            const response = await fetch(this.baseUrl + path, {
+                method,
+                headers: getRequestHeaders(body),
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+            if (!data.ok) {
+                const error = new Error(data.message || `iaptic request failed: ${method} ${path}`);
+                error.code = data.code;
+                error.status = response.status;
+                throw error;
+            }
+            return data;
+        }
+    }
+
+    return {
+        createAdapter(config) {
+            return new IapticProxyAdapter(config);
+        }
+    };
+})();
@@ -1,520 +1,1253 @@
-/** @type {import('iaptic-js').IapticStripe} */
-const iaptic = IapticJS.createAdapter(window.IAPTIC_STRIPE_CREDENTIALS);
-
-function showMessage(type) {
-    const container = document.getElementById('message-container');
-    if (type === 'success') {
-        container.innerHTML = `
-            <div class="alert alert-success" role="alert">
-                <h4 class="alert-title">Payment successful</h4>
-                <div class="text-muted">
-                    Thank you for your subscription!
-                </div>
-            </div>
-        `;
-    } else if (type === 'cancel') {
-        container.innerHTML = `
-            <div class="alert alert-warning" role="alert">
-                <h4 class="alert-title">Payment canceled</h4>
-                <div class="text-muted">The payment process was canceled.</div>
-            </div>
-        `;
-    } else if (type === 'success-plan-change') {
-        container.innerHTML = `
-            <div class="alert alert-success" role="alert">
-                <h4 class="alert-title">Plan changed successfully</h4>
-                <div class="text-muted">
-                    Your subscription has been updated to the new plan.
-                </div>
+/** Adapter calling iaptic through server.js, see iaptic-proxy.js */
+let iaptic = createIaptic(null);
+
+/** Signed-in user, as returned by server.js (`null` when anonymous) */
+let currentUser = null;
+
+// Action to resume once the visitor has signed in (e.g. the checkout they clicked)
+let pendingAction = null;
+
+/** What server.js knows the user has access to, from iaptic webhooks (`null` if unavailable) */
+let currentEntitlements = null;
+
+/** Request balance of the signed-in user, see server/metering.js (`null` if unavailable) */
+let currentUsage = null;
+
+/** Purchases currently displayed, to re-render after a display setting changes */
+let currentPurchases = [];
+
+/** Products of the catalog, to name the products of past purchases */
+let currentProducts = [];
+
+/** Filters of the purchase history, `all` or a purchase type / status */
+const purchaseFilters = { type: 'all', status: 'all' };
+
+/** Currency prices are displayed in (ISO 4217, upper case), see resolveCurrency() */
+let currentCurrency = null;
+
+/** Billing period of the plans in the comparison table, `P1M` or `P1Y` */
+let currentBillingPeriod = 'P1M';
+
+// Refreshes the time left of trials, see refreshTrialCountdowns()
+const TRIAL_COUNTDOWN_INTERVAL = 60 * 1000;
+let trialCountdownTimer = null;
+
+function createIaptic(user) {
+    const config = { ...window.IAPTIC_STRIPE_CREDENTIALS, applicationUsername: user?.username };
+    try {
+        if (!window.IAPTIC_STRIPE_CREDENTIALS) {
+            const error = new Error('credentials.js is missing: serve the page with server.js, or set app-name on an element');
+            error.code = 'MissingCredentials';
+            throw error;
+        }
+        return IapticProxy.createAdapter(config);
+    } catch (error) {
+        error.code = error.code || 'InvalidConfiguration';
+        reportError(error, 'configuration');
+        return createFailedAdapter(error);
+    }
+}
+
+// Stands in for an adapter that couldn't be created: every call fails with `error`,
+// which the page then reports like any other error instead of staying blank
+function createFailedAdapter(error) {
+    const fail = async () => { throw error; };
+    return {
+        getProducts: fail,
+        getPurchases: fail,
+        initCheckoutSession: fail,
+        order: fail,
+        changePlan: fail,
+        cancelSubscription: fail,
+        resumeSubscription: fail,
+        pauseSubscription: fail,
+        redirectToCustomerPortal: fail
+    };
+}
+
+// server.js rejects requests that change something without the token of its `csrf` cookie
+function getRequestHeaders(body) {
+    const csrfToken = document.cookie.match(/(?:^|;\s*)csrf=([^;]*)/)?.[1];
+    return {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...(csrfToken ? { 'X-CSRF-Token': decodeURIComponent(csrfToken) } : {})
+    };
+}
+
+async function apiRequest(method, path, body) {
+    const response = await fetch(path, {
+        method,
+        headers: getRequestHeaders(body),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!data.ok) {
+        const error = new Error(data.message);
+        error.code = data.code;
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+async function loadEntitlements() {
+    try {
+        currentEntitlements = await apiRequest('GET', '/api/entitlements');
+    } catch (error) {
+        reportError(error, 'entitlements');
+        currentEntitlements = null;
+    }
+    return currentEntitlements;
+}
+
+async function loadUsage() {
+    try {
+        currentUsage = await apiRequest('GET', '/api/usage');
+    } catch (error) {
+        reportError(error, 'usage');
+        currentUsage = null;
+    }
+    return currentUsage;
+}
+
+async function loadSession() {
+    try {
+        const { user } = await apiRequest('GET', '/api/session');
+        setCurrentUser(user);
+    } catch (error) {
+        reportError(error, 'session');
+        setCurrentUser(null);
+    }
+}
+
+function setCurrentUser(user) {
+    currentUser = user;
+    iaptic = createIaptic(user);
+    startLiveUpdates(user?.username, handlePurchasesUpdate);
+    resolveLanguage(user?.preferences?.language);
+    renderLanguageSelector();
+    renderAccount();
+}
+
+function renderAccount() {
+    render(document.getElementById('account-container'), currentUser ? html`
+        <span class="text-muted me-2">${t('account.signedInAs', { username: currentUser.username })}</span>
+        <button class="btn btn-sm" data-action="sign-out">${t('account.signOut')}</button>
+    ` : html`
+        <button class="btn btn-sm btn-primary" data-action="show-sign-in">${t('account.signIn')}</button>
+    `);
+}
+
+/**
+ * Container of the page outside of the iaptic-* elements (messages, sign-in form,
+ * dialogs). Pages that embed the elements without it get one before the first element.
+ */
+function getPageContainer(id) {
+    let container = document.getElementById(id);
+    const element = document.querySelector(IAPTIC_ELEMENTS);
+    if (!container && element) {
+        container = document.createElement('div');
+        container.id = id;
+        element.before(container);
+    }
+    return container;
+}
+
+function showLoginForm(reason, error) {
+    const container = getPageContainer('login-container');
+    if (!container) return;
+
+    render(container, html`
+        <div class="card mb-4">
+            <div class="card-body">
+                <h3 class="card-title">${t('login.title')}</h3>
+                ${reason ? html`<p class="text-muted">${reason}</p>` : ''}
+                ${error ? html`<div class="alert alert-danger" role="alert">${error}</div>` : ''}
+                <form data-action="sign-in">
+                    <div class="mb-3">
+                        <label class="form-label" for="login-username">${t('login.username')}</label>
+                        <input class="form-control" id="login-username" name="username" autocomplete="username" required>
+                    </div>
+                    <div class="mb-3">
+                        <label class="form-label" for="login-password">${t('login.password')}</label>
+                        <input class="form-control" id="login-password" name="password" type="password" autocomplete="current-password" required>
+                    </div>
+                    <button class="btn btn-primary" name="action" value="sign-in">${t('login.submit')}</button>
+                    <button class="btn" name="action" value="sign-up">${t('login.signUp')}</button>
+                    <button class="btn btn-link" type="button" data-action="hide-sign-in">${t('common.cancel')}</button>
+                </form>
             </div>
-        `;
-    } else if (type === 'error-plan-change') {
-        container.innerHTML = `
-            <div class="alert alert-danger" role="alert">
-                <h4 class="alert-title">Failed to change plan</h4>
-                <div class="text-muted">
-                    There was an error updating your subscription. Please try again or contact support.
+        </div>
+    `);
+    container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Translated message for errors returned by server.js, the server's message otherwise
+function getErrorMessage(error) {
+    const key = `errors.${error.code}`;
+    return hasTranslation(key) ? t(key) : error.message;
+}
+
+function hideLoginForm() {
+    pendingAction = null;
+    render(document.getElementById('login-container'), '');
+}
+
+// Runs `action` now if signed in, otherwise once the visitor signs in
+function requireSignIn(reason, action) {
+    if (currentUser) return action();
+    pendingAction = action;
+    showLoginForm(reason);
+}
+
+async function handleSignIn(event) {
+    const form = event.target;
+    const signUp = event.submitter?.value === 'sign-up';
+    try {
+        const { user } = await apiRequest('POST', signUp ? '/api/users' : '/api/session', {
+            username: form.username.value,
+            password: form.password.value
+        });
+        const action = pendingAction;
+        hideLoginForm();
+        setCurrentUser(user);
+        if (action) return action();
+        const purchases = await displayPurchases();
+        displayPrices(purchases);
+    } catch (error) {
+        showLoginForm(null, getErrorMessage(error));
+    }
+}
+
+async function handleSignOut() {
+    try {
+        await apiRequest('DELETE', '/api/session');
+    } catch (error) {
+        reportError(error, 'signOut');
+    }
+    setCurrentUser(null);
+    currentEntitlements = null;
+    currentTeam = null;
+    currentInvitations = [];
+    currentReceipts = [];
+    displaySubscriptionDetails(null, []);
+    displayPrices([]);
+}
+
+// Alerts shown by showMessage(): Tabler alert style and translation keys
+const MESSAGES = {
+    'success': { style: 'success', key: 'message.success' },
+    'cancel': { style: 'warning', key: 'message.cancel' },
+    'confirming': { style: 'info', key: 'message.confirming', spinner: true },
+    'timeout': { style: 'warning', key: 'message.timeout' },
+    'failed': { style: 'danger', key: 'message.failed' },
+    'success-plan-change': { style: 'success', key: 'message.successPlanChange' },
+    'cancel-plan-change': { style: 'warning', key: 'message.cancelPlanChange' },
+    'plan-change-scheduled': { style: 'success', key: 'message.planChangeScheduled' },
+    'subscription-cancelled': { style: 'warning', key: 'message.subscriptionCancelled' },
+    'subscription-resumed': { style: 'success', key: 'message.subscriptionResumed' },
+    'subscription-paused': { style: 'success', key: 'message.subscriptionPaused' },
+    'seats-updated': { style: 'success', key: 'message.seatsUpdated' },
+    'team-joined': { style: 'success', key: 'message.teamJoined' }
+};
+
+// `actions` are buttons shown below the text, `params` are passed to the translation of the text
+function showMessage(type, actions, params) {
+    const container = getPageContainer('message-container');
+    const message = MESSAGES[type];
+    if (!container) return;
+    render(container, html`
+        <div class="alert alert-${message.style}" role="alert">
+            <div class="d-flex">
+                ${message.spinner ? html`<div class="spinner-border spinner-border-sm me-3" role="status"></div>` : ''}
+                <div>
+                    <h4 class="alert-title">${t(`${message.key}.title`)}</h4>
+                    <div class="text-muted">${t(`${message.key}.text`, params)}</div>
+                    ${actions ? html`<div class="mt-2">${actions}</div>` : ''}
                 </div>
             </div>
-        `;
+        </div>
+    `);
+    container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// What the recovery button of the error shown by showError() does
+let errorAction = null;
+
+/**
+ * Reports `error` and explains it to the user. `context` says what failed
+ * (see the `failure.context` translations), `retry` is offered for transient errors.
+ */
+function showError(error, { context, retry } = {}) {
+    const { kind } = reportError(error, context);
+    let action = null;
+    errorAction = null;
+    if (kind === 'invalidOffer') {
+        errorAction = reloadCatalog;
+        action = html`<button class="btn btn-sm" data-action="recover-error">${t('failure.reloadPrices')}</button>`;
+    } else if (retry && ERROR_KINDS[kind].transient) {
+        errorAction = retry;
+        action = html`<button class="btn btn-sm" data-action="recover-error">${t('failure.retry')}</button>`;
     }
+
+    const container = getPageContainer('message-container');
+    if (!container) return;
+    render(container, renderErrorAlert(error, {
+        title: context && hasTranslation(`failure.context.${context}`) ? t(`failure.context.${context}`) : null,
+        action
+    }));
     container.scrollIntoView({ behavior: 'smooth' });
 }
 
+function recoverFromError() {
+    const action = errorAction;
+    errorAction = null;
+    render(document.getElementById('message-container'), '');
+    return action?.();
+}
+
+async function reloadPurchasesAndPrices() {
+    invalidatePurchases();
+    const purchases = await displayPurchases();
+    await displayPrices(purchases);
+}
+
+// Offers may have changed since the catalog was cached
+function reloadCatalog() {
+    invalidateProducts();
+    return displayPrices(currentPurchases);
+}
+
+// The subscription that is still running (or waiting for a payment), or the last one. The other ones are in the purchase history.
+function getCurrentSubscription(purchases) {
+    const subscriptions = (purchases || []).filter(isSubscriptionPurchase);
+    return subscriptions.find(p => ['active', 'canceling', ...BILLING_ISSUE_STATUSES].includes(getPurchaseStatus(p))) || subscriptions[0];
+}
+
+// Renders every <iaptic-subscription-status> element of the page
 function displaySubscriptionDetails(products, purchases) {
-    const container = document.getElementById('subscription-container');
-    if (!container) return;
+    document.querySelectorAll('iaptic-subscription-status').forEach(element => {
+        render(element, renderSubscriptionDetails(products, purchases));
+    });
+    clearInterval(trialCountdownTimer);
+    if (getCurrentSubscription(purchases)?.isTrialPeriod) {
+        trialCountdownTimer = setInterval(refreshTrialCountdowns, TRIAL_COUNTDOWN_INTERVAL);
+    }
+}
 
-    if (purchases && purchases.length > 0) {
-        const subscriptions = purchases.filter(p => p.renewalIntent && p.expirationDate);
-        const purchase = subscriptions.find(p => !p.cancelationReason) || subscriptions[0];
-        const startDate = new Date(purchase.purchaseDate).toLocaleDateString();
-        const lastRenewal = new Date(purchase.lastRenewalDate).toLocaleDateString();
-        const nextRenewal = new Date(purchase.expirationDate).toLocaleDateString();
-        
-        // Find the corresponding product
-        const productId = purchase.productId.replace('stripe:', '');
-        const product = products?.find(p => p.id === productId);
-        const offer = product?.offers.find(o => o.id === purchase.offerId);
-        
-        container.innerHTML = `
-            <div class="card">
-                <div class="card-header">
-                    <h3 class="card-title">Current Subscription</h3>
-                </div>
-                <div class="card-body">
-                    <table class="table table-sm">
-                        <tr>
-                            <td class="text-muted">Plan:</td>
-                            <td>${product?.title || 'Subscription'}</td>
-                        </tr>
-                        ${product?.description ? `
-                        <tr>
-                            <td class="text-muted">Description:</td>
-                            <td>${product.description}</td>
-                        </tr>
-                        ` : ''}
-                        <tr>
-                            <td class="text-muted">Amount:</td>
-                            <td>${IapticJS.Utils.formatCurrency(purchase.amountMicros, purchase.currency)}</td>
-                        </tr>
-                        <tr>
-                            <td class="text-muted">Billing Period:</td>
-                            <td>${offer && product.type === 'paid subscription' ? IapticJS.Utils.formatBillingPeriodEN(offer.pricingPhases.slice(-1)[0].billingPeriod) : 'Recurring'}</td>
-                        </tr>
-                        <tr>
-                            <td class="text-muted">Status:</td>
-                            <td>
-                                ${purchase.cancelationReason
-                                    ? '<span class="badge bg-danger-lt">Cancelled</span>'
-                                    : purchase.renewalIntent === 'Renew'
-                                        ? '<span class="badge bg-success-lt">Active</span>'
-                                        : '<span class="badge bg-warning-lt">Canceling</span>'
-                                }
-                            </td>
-                        </tr>
-                        <tr>
-                            <td class="text-muted">Start Date:</td>
-                            <td>${startDate}</td>
-                        </tr>
-                        <tr>
-                            <td class="text-muted">Last Renewal:</td>
-                            <td>${lastRenewal}</td>
-                        </tr>
-                        <tr>
-                            <td class="text-muted">Next Renewal:</td>
-                            <td>${nextRenewal}</td>
-                        </tr>
-                        ${purchase.isTrialPeriod ? `
-                        <tr>
-                            <td class="text-muted">Trial Period:</td>
-                            <td><span class="badge bg-info-lt">Yes</span></td>
-                        </tr>
-                        ` : ''}
-                    </table>
-                    <div class="mt-4">
-                        <h4>Change Plan</h4>
-                        <div class="row g-3">
-                            ${products
-                                ?.filter(product => {
-                                    // Only keep subscription products
-                                    if (product.type !== 'paid subscription') return false;
-                                    // Only keep products with matching currency offers
-                                    const hasMatchingOffers = product.offers.some(offer => 
-                                        offer.pricingPhases.slice(-1)[0].currency.toLowerCase() === purchase.currency.toLowerCase()
-                                    );
-                                    // Keep if it's purchasable or if it's the current plan
-                                    return (hasMatchingOffers && product.metadata?.canPurchase !== 'false') || 
-                                           product.id === productId;
-                                })
-                                // Sort by monthly USD price
-                                .sort((a, b) => {
-                                    const getMonthlyPrice = (product) => {
-                                        const monthlyOffer = product.offers.find(o => 
-                                            o.pricingPhases.slice(-1)[0].currency.toLowerCase() === 'usd' &&
-                                            o.pricingPhases.slice(-1)[0].billingPeriod.includes('M')
-                                        );
-                                        return monthlyOffer ? monthlyOffer.pricingPhases.slice(-1)[0].priceMicros : 0;
-                                    };
-                                    return getMonthlyPrice(a) - getMonthlyPrice(b);
-                                })
-                                .map(product => {
-                                    const isCurrentPlan = product.id === productId;
-                                    const matchingOffers = product.offers.filter(offer => 
-                                        offer.pricingPhases.slice(-1)[0].currency.toLowerCase() === purchase.currency.toLowerCase()
-                                    );
-                                    
-                                    if (matchingOffers.length === 0) return '';
-                                    
-                                    const hasCurrentOffer = matchingOffers.some(o => o.id === purchase.offerId);
-                                    
-                                    // Sort offers by billing period (monthly first)
-                                    const sortedOffers = matchingOffers.sort((a, b) => {
-                                        const aIsMonthly = a.pricingPhases.slice(-1)[0].billingPeriod.includes('M');
-                                        const bIsMonthly = b.pricingPhases.slice(-1)[0].billingPeriod.includes('M');
-                                        return aIsMonthly ? -1 : 1;
-                                    });
-                                    const isCurrentOfferCancelled = purchase.cancelationReason;
-
-                                    return `
-                                        <div class="col-3">
-                                            <div class="card h-100 ${hasCurrentOffer ? 'bg-primary-lt' : ''}">
-                                                <div class="card-body">
-                                                    <div class="text-center mb-3">
-                                                        <h5 class="mb-1">${product.title}</h5>
-                                                        <div class="text-muted small">
-                                                            ${product.description || ''}
-                                                        </div>
-                                                    </div>
-                                                    <div class="text-center mb-3">
-                                                        <div class="mb-1">
-                                                            <span class="badge bg-blue-lt">
-                                                                ${product.metadata?.quota || 0} requests/month
-                                                            </span>
-                                                        </div>
-                                                        <div>
-                                                            <span class="badge bg-purple-lt">
-                                                                ${getSupportLevelLabel(product.metadata?.supportLevel)}
-                                                            </span>
-                                                        </div>
-                                                    </div>
-                                                    
-                                                    <div class="pricing-options">
-                                                        ${sortedOffers.map(offer => {
-                                                            const phase = offer.pricingPhases.slice(-1)[0];
-                                                            const isCurrentOffer = offer.id === purchase.offerId;
-                                                            const period = IapticJS.Utils.formatBillingPeriodEN(phase.billingPeriod).toLowerCase();
-                                                            
-                                                            return `
-                                                                <div class="mb-2 text-center">
-                                                                    <div class="h4 mb-1">
-                                                                        ${IapticJS.Utils.formatCurrency(phase.priceMicros, phase.currency)}
-                                                                        <small class="text-muted">/${period}</small>
-                                                                    </div>
-                                                                    ${isCurrentOffer 
-                                                                        ? isCurrentOfferCancelled
-                                                                            ? `<button class="btn btn-primary btn-sm" 
-                                                                                  onclick="handlePlanChange('${offer.id}')">
-                                                                               Renew 
-                                                                           </button>`
-                                                                            : '<span class="badge bg-primary-lt">Current Plan</span>'
-                                                                        : `<button class="btn btn-primary btn-sm" 
-                                                                                  onclick="handlePlanChange('${offer.id}')">
-                                                                                Switch to ${period}
-                                                                           </button>`
-                                                                    }
-                                                                </div>
-                                                            `;
-                                                        }).join('')}
-                                                    </div>
-                                                </div>
-                                            </div>
-                                        </div>
-                                    `;
-                                }).join('')}
-                        </div>
+// The "Ends in 5 days" badges count down, in hours on the last day
+function refreshTrialCountdowns() {
+    document.querySelectorAll('[data-trial-end]').forEach(badge => {
+        badge.textContent = t('subscription.trialEnds', { time: formatTimeLeft(badge.dataset.trialEnd) });
+    });
+}
+
+function renderSubscriptionDetails(products, purchases) {
+    const purchase = getCurrentSubscription(purchases);
+    if (!purchase) return html`${renderTeamInvitations()}${renderTeamMembership(products)}`;
+
+    const startDate = formatDate(purchase.purchaseDate);
+    const lastRenewal = formatDate(purchase.lastRenewalDate);
+    const nextRenewal = formatDate(purchase.expirationDate);
+
+    // Find the corresponding product
+    const productId = purchase.productId.replace('stripe:', '');
+    const product = products?.find(p => p.id === productId);
+    const offer = product?.offers.find(o => o.id === purchase.offerId);
+
+    return html`
+        ${renderTeamInvitations()}
+        <div class="card">
+            <div class="card-header">
+                <h3 class="card-title">${t('subscription.title')}</h3>
+            </div>
+            <div class="card-body">
+                ${renderBillingIssueBanner(purchase)}
+                <table class="table table-sm">
+                    <tr>
+                        <td class="text-muted">${t('subscription.plan')}</td>
+                        <td>${product?.title || t('subscription.defaultTitle')}</td>
+                    </tr>
+                    ${product?.description ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.description')}</td>
+                        <td>${product.description}</td>
+                    </tr>
+                    ` : ''}
+                    <tr>
+                        <td class="text-muted">${t('subscription.amount')}</td>
+                        <td>${formatPrice(purchase.amountMicros, purchase.currency)}</td>
+                    </tr>
+                    ${getPurchaseReceipts(purchase).length > 0 ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.lastPayment')}</td>
+                        <td>${renderReceiptLinks(getPurchaseReceipts(purchase)[0])}</td>
+                    </tr>
+                    ` : ''}
+                    ${purchase.quantity > 1 ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.seats')}</td>
+                        <td>${t('seats.count', { count: purchase.quantity })}</td>
+                    </tr>
+                    ` : ''}
+                    <tr>
+                        <td class="text-muted">${t('subscription.billingPeriod')}</td>
+                        <td>${offer && product.type === 'paid subscription' ? formatBillingPeriod(offer.pricingPhases.slice(-1)[0].billingPeriod) : t('subscription.recurring')}</td>
+                    </tr>
+                    <tr>
+                        <td class="text-muted">${t('subscription.status')}</td>
+                        <td>${renderStatusBadge(purchase)} ${renderCancelOrResumeButton(purchase)}</td>
+                    </tr>
+                    ${purchase.cancelationReason ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.cancelationReason')}</td>
+                        <td>${describeCancelationReason(purchase.cancelationReason)}</td>
+                    </tr>
+                    ` : ''}
+                    <tr>
+                        <td class="text-muted">${t('subscription.startDate')}</td>
+                        <td>${startDate}</td>
+                    </tr>
+                    <tr>
+                        <td class="text-muted">${t('subscription.lastRenewal')}</td>
+                        <td>${lastRenewal}</td>
+                    </tr>
+                    <tr>
+                        <td class="text-muted">${getRenewalLabel(purchase)}</td>
+                        <td>${nextRenewal}</td>
+                    </tr>
+                    ${purchase.pause ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.paused')}</td>
+                        <td>${t('subscription.pausedFrom', { start: formatDate(purchase.pause.startDate), end: formatDate(purchase.pause.resumesAt) })}</td>
+                    </tr>
+                    ` : ''}
+                    ${purchase.scheduledChange ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.scheduledChange')}</td>
+                        <td>${renderScheduledChange(products, purchase.scheduledChange)}</td>
+                    </tr>
+                    ` : ''}
+                    ${currentEntitlements ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.access')}</td>
+                        <td>
+                            ${currentEntitlements.productIds.includes(purchase.productId)
+                                ? html`<span class="badge bg-success-lt">${t('access.confirmed')}</span>`
+                                : html`<span class="badge bg-warning-lt">${t('access.pending')}</span>`
+                            }
+                        </td>
+                    </tr>
+                    ` : ''}
+                    ${purchase.isTrialPeriod ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.trialPeriod')}</td>
+                        <td>
+                            <span class="badge bg-info-lt" data-trial-end="${purchase.expirationDate}">${t('subscription.trialEnds', { time: formatTimeLeft(purchase.expirationDate) })}</span>
+                            <span class="text-muted ms-1">${nextRenewal}</span>
+                        </td>
+                    </tr>
+                    ${getPriceAfterTrial(offer) ? html`
+                    <tr>
+                        <td class="text-muted">${t('subscription.afterTrial')}</td>
+                        <td>${getPriceAfterTrial(offer)}</td>
+                    </tr>
+                    ` : ''}
+                    ` : ''}
+                </table>
+                ${renderTeamSection(purchase, product, offer)}
+                ${renderUsageMeter(currentUsage, products)}
+                <div class="mt-4" id="change-plan">
+                    <h4>${t('plan.changeTitle')}</h4>
+                    <div class="row g-3">
+                        ${renderChangePlanProducts(products, purchase)}
                     </div>
-                    <div class="mt-3">
-                        <button class="btn btn-sm" 
-                                data-bs-toggle="collapse" 
-                                data-bs-target="#technicalDetails" 
-                                aria-expanded="false">
-                            <span class="text-muted">Show technical details...</span>
-                        </button>
-                        <div class="collapse mt-3" id="technicalDetails">
-                            <div class="card card-body bg-light">
-                                <table class="table table-sm">
-                                    <tr>
-                                        <td class="text-muted">Purchase ID:</td>
-                                        <td><code>${purchase.purchaseId}</code></td>
-                                    </tr>
-                                    <tr>
-                                        <td class="text-muted">Transaction ID:</td>
-                                        <td><code>${purchase.transactionId}</code></td>
-                                    </tr>
-                                    <tr>
-                                        <td class="text-muted">Product ID:</td>
-                                        <td><code>${purchase.productId}</code></td>
-                                    </tr>
-                                    <tr>
-                                        <td class="text-muted">Offer ID:</td>
-                                        <td><code>${purchase.offerId || 'N/A'}</code></td>
-                                    </tr>
-                                </table>
-                                <div class="mt-3">
-                                    <button class="btn btn-sm" 
-                                            data-bs-toggle="collapse" 
-                                            data-bs-target="#rawJson" 
-                                            aria-expanded="false">
-                                        <span class="text-muted">Show raw JSON...</span>
-                                    </button>
-                                    <div class="collapse mt-2" id="rawJson">
-                                        <pre class="bg-dark text-light p-3 rounded"><code>${JSON.stringify(purchase, null, 2)}</code></pre>
-                                    </div>
+                </div>
+                <div class="mt-3">
+                    <button class="btn btn-sm"
+                            data-bs-toggle="collapse"
+                            data-bs-target="#technicalDetails"
+                            aria-expanded="false">
+                        <span class="text-muted">${t('details.show')}</span>
+                    </button>
+                    <div class="collapse mt-3" id="technicalDetails">
+                        <div class="card card-body bg-light">
+                            <table class="table table-sm">
+                                <tr>
+                                    <td class="text-muted">${t('details.purchaseId')}</td>
+                                    <td><code>${purchase.purchaseId}</code></td>
+                                </tr>
+                                <tr>
+                                    <td class="text-muted">${t('details.transactionId')}</td>
+                                    <td><code>${purchase.transactionId}</code></td>
+                                </tr>
+                                <tr>
+                                    <td class="text-muted">${t('details.productId')}</td>
+                                    <td><code>${purchase.productId}</code></td>
+                                </tr>
+                                <tr>
+                                    <td class="text-muted">${t('details.offerId')}</td>
+                                    <td><code>${purchase.offerId || t('common.notAvailable')}</code></td>
+                                </tr>
+                            </table>
+                            <div class="mt-3">
+                                <button class="btn btn-sm"
+                                        data-bs-toggle="collapse"
+                                        data-bs-target="#rawJson"
+                                        aria-expanded="false">
+                                    <span class="text-muted">${t('details.rawJson')}</span>
+                                </button>
+                                <div class="collapse mt-2" id="rawJson">
+                                    <pre class="bg-dark text-light p-3 rounded"><code>${JSON.stringify(purchase, null, 2)}</code></pre>
                                 </div>
                             </div>
                         </div>
                     </div>
                 </div>
             </div>
-        `;
-    } else {
-        container.innerHTML = ''; // Clear the container if no subscription
+        </div>
+    `;
+}
+
+// What the subscriber pays once the free trial of `offer` is over
+function getPriceAfterTrial(offer) {
+    const phases = offer?.pricingPhases || [];
+    const next = phases[phases.indexOf(getTrialPhase(offer)) + 1];
+    if (!getTrialPhase(offer) || !next) return null;
+    return next === phases[phases.length - 1]
+        ? `${formatPrice(next.priceMicros, next.currency)}/${formatPeriod(next.billingPeriod)}`
+        : describeIntroPhase(next);
+}
+
+function renderScheduledChange(products, { offerId, effectiveDate }) {
+    const product = products?.find(p => p.offers.some(o => o.id === offerId));
+    const offer = product?.offers.find(o => o.id === offerId);
+    return t('subscription.switchesTo', {
+        plan: product ? `${product.title} (${formatBillingPeriod(offer.pricingPhases.slice(-1)[0].billingPeriod)})` : offerId,
+        date: formatDate(effectiveDate)
+    });
+}
+
+// What the expiration date of the subscription is to the subscriber
+function getRenewalLabel(purchase) {
+    const status = getPurchaseStatus(purchase);
+    if (status === 'canceling') return t('subscription.accessEnds');
+    if (BILLING_ISSUE_STATUSES.includes(status)) return t('subscription.renewalDue');
+    return t('subscription.nextRenewal');
+}
+
+// Running subscriptions can be cancelled, cancellations and pauses can be undone until the end of the period
+function renderCancelOrResumeButton(purchase) {
+    const status = getPurchaseStatus(purchase);
+    if (status === 'canceling' || (status === 'active' && purchase.pause)) {
+        return html`<button class="btn btn-sm ms-2" data-action="resume-subscription">${t('subscription.resume')}</button>`;
     }
+    if (status === 'active') {
+        return html`<button class="btn btn-sm btn-link text-danger ms-2" data-action="cancel-subscription">${t('subscription.cancel')}</button>`;
+    }
+    return '';
 }
 
-function showLoadingSpinner(containerId) {
-    const container = document.getElementById(containerId);
+// Plans the subscriber can switch to, in the currency of their subscription
+function renderChangePlanProducts(products, purchase) {
+    const productId = purchase.productId.replace('stripe:', '');
+    const currency = purchase.currency.toUpperCase();
+
+    return (products || [])
+        .filter(product => {
+            // Only keep subscription products
+            if (product.type !== 'paid subscription') return false;
+            // Only keep products with matching currency offers
+            const hasMatchingOffers = product.offers.some(offer => getOfferCurrency(offer) === currency);
+            // Keep if it's purchasable or if it's the current plan
+            return (hasMatchingOffers && product.metadata?.canPurchase !== 'false') ||
+                   product.id === productId;
+        })
+        // Sort by monthly price in the subscription's currency
+        .sort((a, b) => getMonthlyPrice(a, currency) - getMonthlyPrice(b, currency))
+        .map(product => {
+            const matchingOffers = product.offers.filter(offer => getOfferCurrency(offer) === currency);
+            if (matchingOffers.length === 0) return '';
+
+            const hasCurrentOffer = matchingOffers.some(o => o.id === purchase.offerId);
+            const isCurrentOfferCancelled = purchase.cancelationReason;
+
+            return renderPriceCard({
+                product,
+                highlighted: hasCurrentOffer,
+                content: html`
+                    <div class="pricing-options">
+                        ${sortOffersByPeriod(matchingOffers).map(offer => {
+                            const phase = offer.pricingPhases.slice(-1)[0];
+                            if (offer.id !== purchase.offerId) {
+                                return renderOfferRow(offer, renderOfferButton('change-plan', offer,
+                                    t('plan.switch', { billing: formatBillingAdverb(phase.billingPeriod) })));
+                            }
+                            return renderOfferRow(offer, isCurrentOfferCancelled
+                                ? renderOfferButton('change-plan', offer, t('plan.renew'))
+                                : html`<span class="badge bg-primary-lt">${t('plan.current')}</span>`);
+                        })}
+                    </div>
+                `
+            });
+        });
+}
+
+// Shortest billing period first (monthly before yearly)
+function sortOffersByPeriod(offers) {
+    return [...offers].sort((a, b) =>
+        getPeriodInMonths(a.pricingPhases.slice(-1)[0].billingPeriod) -
+        getPeriodInMonths(b.pricingPhases.slice(-1)[0].billingPeriod)
+    );
+}
+
+// Monthly requests used, with upgrade / top-up suggestions when running low
+function renderUsageMeter(usage, products) {
+    if (!usage || (!usage.allowance && !usage.credits)) return '';
+
+    const percent = usage.allowance ? Math.min(100, Math.round(usage.used / usage.allowance * 100)) : 0;
+    const isLow = usage.available < usage.allowance * 0.1;
+    // Request packs are sold right here: the one-time products may not be on the page
+    const topUpOffer = (products || [])
+        .filter(p => p.type === 'consumable' && p.metadata?.canPurchase !== 'false')
+        .map(p => getOffersInCurrency(p, currentCurrency).offers[0])
+        .find(Boolean);
+    const topUpPhase = topUpOffer?.pricingPhases.slice(-1)[0];
+
+    return html`
+        <div class="mt-3">
+            <div class="d-flex mb-1">
+                <div>${t('usage.title')}</div>
+                <div class="ms-auto text-muted">${formatNumber(usage.used)} / ${formatNumber(usage.allowance)}</div>
+            </div>
+            <div class="progress mb-2">
+                <div class="progress-bar ${isLow ? 'bg-danger' : 'bg-primary'}" style="width: ${percent}%"
+                     role="progressbar" aria-valuenow="${percent}" aria-valuemin="0" aria-valuemax="100"></div>
+            </div>
+            ${usage.credits ? html`
+                <div class="text-muted small">${t('usage.credits', { count: usage.credits })}</div>
+            ` : ''}
+            ${isLow ? html`
+                <div class="alert alert-warning mt-2" role="alert">
+                    <div>${t('usage.low', { count: usage.available })}</div>
+                    <div class="mt-2">
+                        <a class="btn btn-sm btn-warning" href="#change-plan">${t('usage.upgrade')}</a>
+                        ${topUpOffer ? renderOfferButton('purchase', topUpOffer,
+                            `${t('usage.topUp')} (${formatPrice(topUpPhase.priceMicros, topUpPhase.currency)})`) : ''}
+                    </div>
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Every subscription and one-time purchase of the user, most recent first
+function displayPurchaseHistory() {
+    const container = document.getElementById('purchases-container');
     if (!container) return;
-    
-    container.innerHTML = `
+
+    if (currentPurchases.length === 0) {
+        render(container, '');
+        return;
+    }
+
+    const purchases = currentPurchases
+        .filter(p => purchaseFilters.type === 'all' ||
+            purchaseFilters.type === (isSubscriptionPurchase(p) ? 'subscription' : 'oneTime'))
+        .filter(p => purchaseFilters.status === 'all' || purchaseFilters.status === getPurchaseStatus(p))
+        .sort((a, b) => new Date(b.purchaseDate) - new Date(a.purchaseDate));
+
+    render(container, html`
+        <div class="card">
+            <div class="card-header">
+                <h3 class="card-title">${t('history.title')}</h3>
+                <div class="card-actions d-flex gap-2">
+                    ${renderCsvExportLink()}
+                    <select class="form-select form-select-sm" aria-label="${t('history.filterType')}"
+                            data-action="filter-purchases" data-filter="type">
+                        ${[['all', 'history.allTypes'], ['subscription', 'type.subscription'], ['oneTime', 'type.oneTime']]
+                            .map(([value, label]) => html`
+                                <option value="${value}" ${value === purchaseFilters.type ? 'selected' : ''}>${t(label)}</option>
+                            `)}
+                    </select>
+                    <select class="form-select form-select-sm" aria-label="${t('history.filterStatus')}"
+                            data-action="filter-purchases" data-filter="status">
+                        <option value="all">${t('history.allStatuses')}</option>
+                        ${['active', 'canceling', ...BILLING_ISSUE_STATUSES, 'expired', 'cancelled', 'owned'].map(status => html`
+                            <option value="${status}" ${status === purchaseFilters.status ? 'selected' : ''}>${t(`status.${status}`)}</option>
+                        `)}
+                    </select>
+                </div>
+            </div>
+            <div class="table-responsive">
+                <table class="table card-table table-vcenter">
+                    <thead>
+                        <tr>
+                            <th>${t('history.product')}</th>
+                            <th>${t('history.type')}</th>
+                            <th>${t('history.status')}</th>
+                            <th>${t('history.purchaseDate')}</th>
+                            <th>${t('history.expirationDate')}</th>
+                            <th class="text-end">${t('history.amount')}</th>
+                            <th>${t('history.receipts')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${purchases.length > 0 ? purchases.map(renderPurchaseRow) : html`
+                            <tr><td colspan="7" class="text-center text-muted">${t('history.empty')}</td></tr>
+                        `}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `);
+}
+
+function renderPurchaseRow(purchase) {
+    const product = currentProducts.find(p => `stripe:${p.id}` === purchase.productId);
+    const isSubscription = isSubscriptionPurchase(purchase);
+    return html`
+        <tr>
+            <td>${product?.title || purchase.productId}</td>
+            <td>${t(isSubscription ? 'type.subscription' : 'type.oneTime')}</td>
+            <td>
+                ${renderStatusBadge(purchase)}
+                ${purchase.cancelationReason ? html`
+                    <div class="small text-muted">${describeCancelationReason(purchase.cancelationReason)}</div>
+                ` : ''}
+            </td>
+            <td>${formatDate(purchase.purchaseDate)}</td>
+            <td>${isSubscription ? formatDate(purchase.expirationDate) : '—'}</td>
+            <td class="text-end">
+                ${purchase.amountMicros !== undefined ? formatPrice(purchase.amountMicros, purchase.currency) : t('common.notAvailable')}
+            </td>
+            <td>${renderPurchaseReceipts(purchase)}</td>
+        </tr>
+    `;
+}
+
+// `elements` is a NodeList, e.g. every <iaptic-pricing-table> of the page
+function showLoadingSpinner(elements) {
+    elements.forEach(element => render(element, html`
         <div class="text-center p-4">
             <div class="spinner-border text-primary" role="status"></div>
-            <div class="text-muted mt-2">Loading...</div>
+            <div class="text-muted mt-2">${t('common.loading')}</div>
         </div>
-    `;
+    `));
+}
+
+// Purchases of the user, along with what the subscription panel shows next to them
+async function loadPurchasesAndAccess() {
+    const [purchases] = await Promise.all([
+        loadPurchases(), loadEntitlements(), loadUsage(), loadTeam(), loadTeamInvitations(), loadReceipts()
+    ]);
+    return purchases;
 }
 
 /** @returns {Purchase[]} */
 async function displayPurchases() {
-    const container = document.getElementById('subscription-container');
-    if (!container) return [];
-    
-    showLoadingSpinner('subscription-container');
-    
+    const elements = document.querySelectorAll('iaptic-subscription-status');
+
+    // Anonymous visitors have no purchases, only the pricing is shown
+    if (!currentUser) {
+        displaySubscriptionDetails(null, []);
+        return [];
+    }
+
+    showLoadingSpinner(elements);
+
     try {
-        const purchases = await iaptic.getPurchases();
-        if (purchases && purchases.length > 0) {
-            displaySubscriptionDetails(await iaptic.getProducts(), purchases);
-        } else {
-            container.innerHTML = ''; // Clear the container if no subscription
-        }
+        const purchases = await loadPurchasesAndAccess();
+        displaySubscriptionDetails(purchases?.length > 0 ? await loadProducts() : null, purchases);
         return purchases;
     } catch (error) {
-        // Silently fail if no purchases found
-        console.log('No active purchases found:', error);
-        container.innerHeML = '';
+        displaySubscriptionDetails(null, []);
+        // iaptic also fails for customers without purchases, only alert when it's worth it
+        const kind = classifyError(error);
+        if (kind === 'network' || kind === 'auth') {
+            showError(error, { context: 'purchases', retry: reloadPurchasesAndPrices });
+        } else {
+            reportError(error, 'purchases');
+        }
         return [];
     }
 }
 
+// Pending confirmation of a checkout, so that it isn't started twice
+let checkoutConfirmation = null;
+
+/**
+ * Purchases changed outside of this tab, see live-updates.js. They are loaded
+ * again and re-rendered in place, without spinners, with a notice if what the
+ * page shows changed.
+ */
+async function handlePurchasesUpdate() {
+    // Changes made from this tab are shown by the action that made them
+    await Promise.allSettled([waitForActions(), checkoutConfirmation]);
+    if (!currentUser) return;
+
+    // The plan of a team member is the owner's subscription
+    const getPlan = purchases => JSON.stringify([getCurrentSubscription(purchases), currentEntitlements?.subscription]);
+    const planBefore = getPlan(currentPurchases);
+    const displayed = JSON.stringify([currentPurchases, currentEntitlements, currentInvitations]);
+    invalidatePurchases();
+    let purchases;
+    try {
+        purchases = await loadPurchasesAndAccess();
+    } catch (error) {
+        reportError(error, 'purchases');
+        return;
+    }
+    if (JSON.stringify([purchases, currentEntitlements, currentInvitations]) === displayed) return;
+
+    await displayPrices(purchases);
+    showUpdateNotice(getPlan(purchases) !== planBefore ? 'notice.planUpdated' : 'notice.purchasesUpdated');
+}
+
 async function checkUrlHash() {
     const hash = window.location.hash.substring(1);
     if (hash === 'success') {
-        showMessage('success');
-        history.replaceState(null, '', window.location.pathname);
+        await handleCheckoutReturn();
     } else if (hash === 'cancel') {
+        const checkout = getSavedCheckout();
+        clearSavedCheckout();
         showMessage('cancel');
-        history.replaceState(null, '', window.location.pathname);
-    } else if (hash === 'success-plan-change') {
-        showMessage('success-plan-change');
-        history.replaceState(null, '', window.location.pathname);
-    } else if (hash === 'cancel-plan-change') {
-        showMessage('cancel-plan-change');
-        history.replaceState(null, '', window.location.pathname);
+        trackEvent('checkout_cancelled', getOfferContext(checkout?.offerId));
+        dispatchIapticEvent(null, 'iaptic-cancel', { offerId: checkout?.offerId || null });
+    } else if (hash === 'success-plan-change' || hash === 'cancel-plan-change') {
+        showMessage(hash);
+    } else {
+        return;
     }
+    history.replaceState(null, '', window.location.pathname);
 }
 
-function getSupportLevelLabel(level) {
-    switch (level) {
-        case '0': return 'Basic Support';
-        case '1': return 'Email Support';
-        case '2': return 'Personalized Support';
-        default: return 'Support';
+// Waits for the purchase made in Checkout to show up before confirming it
+function handleCheckoutReturn() {
+    checkoutConfirmation = checkoutConfirmation || confirmCheckoutReturn()
+        .finally(() => { checkoutConfirmation = null; });
+    return checkoutConfirmation;
+}
+
+async function confirmCheckoutReturn() {
+    const checkout = getSavedCheckout();
+    // Nothing to wait for when the page wasn't the one that started the checkout
+    if (!checkout) {
+        trackEvent('checkout_succeeded');
+        return showMessage('success');
+    }
+
+    showMessage('confirming');
+    const { state, purchase } = await confirmCheckout(checkout);
+    if (state === 'timeout') {
+        showMessage('timeout', html`
+            <button class="btn btn-sm" data-action="retry-checkout-confirmation">${t('message.timeout.retry')}</button>
+        `);
+        return;
     }
+
+    clearSavedCheckout();
+    showMessage(state === 'confirmed' ? 'success' : 'failed');
+    trackEvent(state === 'confirmed' ? 'checkout_succeeded' : 'checkout_failed', getOfferContext(checkout.offerId));
+    if (state === 'confirmed') dispatchIapticEvent(null, 'iaptic-purchase', { purchase });
+    const purchases = await displayPurchases();
+    displayPrices(purchases);
+}
+
+// Currencies commonly used in each region, to pick a default from the browser locale
+const REGION_CURRENCIES = {
+    US: 'USD', CA: 'CAD', GB: 'GBP', AU: 'AUD', NZ: 'NZD', JP: 'JPY', CH: 'CHF', IN: 'INR',
+    BR: 'BRL', MX: 'MXN', SE: 'SEK', NO: 'NOK', DK: 'DKK', PL: 'PLN', SG: 'SGD', HK: 'HKD'
+};
+const EURO_REGIONS = [
+    'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR',
+    'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'
+];
+const CURRENCY_STORAGE_KEY = 'iaptic_demo_currency';
+
+function getOfferCurrency(offer) {
+    return offer.pricingPhases.slice(-1)[0].currency.toUpperCase();
+}
+
+function getCatalogCurrencies(products) {
+    return [...new Set(products.flatMap(p => p.offers.map(getOfferCurrency)))].sort();
+}
+
+// First catalog currency matching the browser's preferred locales, else USD
+function detectCurrency(currencies) {
+    for (const language of navigator.languages || [navigator.language]) {
+        try {
+            const region = new Intl.Locale(language).maximize().region;
+            const currency = EURO_REGIONS.includes(region) ? 'EUR' : REGION_CURRENCIES[region];
+            if (currencies.includes(currency)) return currency;
+        } catch (error) {
+            // Ignore malformed language tags
+        }
+    }
+    return currencies.includes('USD') ? 'USD' : currencies[0];
+}
+
+// Sets currentCurrency from the user's saved choice or the locale, returns the catalog's currencies
+function resolveCurrency(products) {
+    const currencies = getCatalogCurrencies(products);
+    const saved = currentUser?.preferences?.currency || localStorage.getItem(CURRENCY_STORAGE_KEY);
+    currentCurrency = currencies.includes(saved) ? saved : detectCurrency(currencies);
+    return currencies;
+}
+
+// Offers of `product` in `currency`. Products not sold in that currency fall back
+// to USD or their first currency, the one used is returned as `currency`.
+function getOffersInCurrency(product, currency) {
+    const inCurrency = c => product.offers.filter(o => getOfferCurrency(o) === c);
+    if (inCurrency(currency).length > 0 || product.offers.length === 0) {
+        return { offers: inCurrency(currency), currency };
+    }
+    const available = product.offers.map(getOfferCurrency);
+    const fallback = available.includes('USD') ? 'USD' : available[0];
+    return { offers: inCurrency(fallback), currency: fallback };
+}
+
+// Lowest price per month among the offers in `currency`, used to sort plans
+function getMonthlyPrice(product, currency) {
+    const prices = getOffersInCurrency(product, currency).offers.map(offer => {
+        const phase = offer.pricingPhases.slice(-1)[0];
+        return phase.priceMicros / getPeriodInMonths(phase.billingPeriod);
+    });
+    return prices.length > 0 ? Math.min(...prices) : 0;
+}
+
+function getPeriodInMonths(isoPeriod) {
+    const match = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?$/.exec(isoPeriod || '');
+    if (!match) return 1;
+    const [years, months, weeks, days] = match.slice(1).map(value => Number(value || 0));
+    return (years * 12 + months + (weeks * 7 + days) / 30.44) || 1;
+}
+
+function renderCurrencySelector(currencies) {
+    render(document.getElementById('currency-container'), currencies.length > 1 ? html`
+        <select class="form-select form-select-sm" aria-label="${t('currency.label')}" data-action="change-currency">
+            ${currencies.map(currency => html`
+                <option value="${currency}" ${currency === currentCurrency ? 'selected' : ''}>${currency}</option>
+            `)}
+        </select>
+    ` : '');
+}
+
+function renderLanguageSelector() {
+    const languages = getAvailableLanguages();
+    render(document.getElementById('language-container'), languages.length > 1 ? html`
+        <select class="form-select form-select-sm" aria-label="${t('language.label')}" data-action="change-language">
+            ${languages.map(language => html`
+                <option value="${language}" ${language === currentLanguage ? 'selected' : ''}>
+                    ${window.IAPTIC_DEMO_LOCALES[language]['language.name']}
+                </option>
+            `)}
+        </select>
+    ` : '');
+}
+
+async function handleLanguageChange(language) {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    setLanguage(language);
+    if (currentUser) {
+        try {
+            const { user } = await apiRequest('PUT', '/api/preferences', { language });
+            currentUser = user;
+        } catch (error) {
+            reportError(error, 'preferences');
+        }
+    }
+    renderLanguageSelector();
+    renderAccount();
+    displayPrices(currentPurchases);
+}
+
+async function handleCurrencyChange(currency) {
+    localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+    if (currentUser) {
+        try {
+            const { user } = await apiRequest('PUT', '/api/preferences', { currency });
+            currentUser = user;
+        } catch (error) {
+            reportError(error, 'preferences');
+        }
+    }
+    displayPrices(currentPurchases);
 }
 
 async function displayPrices(purchases) {
-    const subscriptionContainer = document.getElementById('pricing-container');
-    const onetimeContainer = document.getElementById('onetime-container');
-    if (!subscriptionContainer || !onetimeContainer) return;
-    
-    showLoadingSpinner('pricing-container');
-    showLoadingSpinner('onetime-container');
-    
+    const tables = document.querySelectorAll('iaptic-pricing-table');
+
+    // A cached catalog is rendered right away, without spinners
+    if (!getCachedProducts()) showLoadingSpinner(tables);
+
     try {
-        const products = await iaptic.getProducts();
-        
+        const products = await loadProducts();
+        currentProducts = products;
+        currentPurchases = purchases || [];
+        renderCurrencySelector(resolveCurrency(products));
+
         // Refresh subscription details now that we have product information
-        const hasActiveSubscription = purchases && purchases.length > 0;
         displaySubscriptionDetails(products, purchases);
-        
-        // Clear both containers
-        subscriptionContainer.innerHTML = '';
-        onetimeContainer.innerHTML = '';
-        
-        // Split products by type
-        const subscriptionProducts = products.filter(p => 
-            p.type === 'paid subscription' && p.metadata?.canPurchase !== 'false'
-        );
-        const otherProducts = products.filter(p => 
-            (p.type === 'non_consumable' || p.type === 'consumable') && 
-            p.metadata?.canPurchase !== 'false'
-        );
-        
-        if (hasActiveSubscription) {
-            subscriptionContainer.innerHTML = `
-                <div class="text-center">
-                    <button class="btn btn-primary" onclick="handleManageSubscription()">
-                        Manage Subscription
-                    </button>
-                </div>
-            `;
-        } else if (subscriptionProducts.length > 0) {
-            subscriptionContainer.innerHTML = `
-                <h3 class="mb-3">Subscription Plans</h3>
-                <div class="row w-100 g-3">
-                    ${renderSubscriptionProducts(subscriptionProducts)}
-                </div>
-            `;
-        }
-        
-        if (otherProducts.length > 0) {
-            onetimeContainer.innerHTML = `
-                <h3 class="mb-3">One-time Purchases</h3>
-                <div class="row w-100 g-3">
-                    ${renderOtherProducts(otherProducts)}
-                </div>
-            `;
-        }
+        displayPurchaseHistory();
+        updateIapticElements();
+        if (!pricingViewTracked) trackPricingView(tables);
     } catch (error) {
-        console.error('Error loading prices:', error);
-    }
-}
-
-// Helper function to render subscription products
-function renderSubscriptionProducts(products) {
-    return products
-        // Sort by monthly USD price
-        .sort((a, b) => {
-            const getMonthlyPrice = (product) => {
-                const monthlyOffer = product.offers.find(o => 
-                    o.pricingPhases.slice(-1)[0].currency.toLowerCase() === 'usd' &&
-                    o.pricingPhases.slice(-1)[0].billingPeriod.includes('M')
-                );
-                return monthlyOffer ? monthlyOffer.pricingPhases.slice(-1)[0].priceMicros : 0;
-            };
-            return getMonthlyPrice(a) - getMonthlyPrice(b);
-        })
-        .map(product => {
-            // Sort offers by billing period (monthly first)
-            const sortedOffers = product.offers.sort((a, b) => {
-                const aIsMonthly = a.pricingPhases.slice(-1)[0].billingPeriod.includes('M');
-                const bIsMonthly = b.pricingPhases.slice(-1)[0].billingPeriod.includes('M');
-                return aIsMonthly ? -1 : 1;
-            });
+        tables.forEach(table => render(table, ''));
+        showError(error, { context: 'prices', retry: () => displayPrices(purchases) });
+    }
+}
 
-            return `
-                <div class="col-3">
-                    <div class="card h-100">
-                        <div class="card-body">
-                            <div class="text-center mb-3">
-                                <h5 class="mb-1">${product.title}</h5>
-                                <div class="text-muted small">
-                                    ${product.description || ''}
-                                </div>
-                            </div>
-                            <div class="text-center mb-3">
-                                ${product.metadata?.quota ? `
-                                    <div class="mb-1">
-                                        <span class="badge bg-blue-lt">
-                                            ${product.metadata.quota} requests/month
-                                        </span>
-                                    </div>
-                                ` : ''}
-                                ${product.metadata?.supportLevel ? `
-                                    <div>
-                                        <span class="badge bg-purple-lt">
-                                            ${getSupportLevelLabel(product.metadata.supportLevel)}
-                                        </span>
-                                    </div>
-                                ` : ''}
-                            </div>
-                            
-                            <div class="pricing-options">
-                                ${renderSubscriptionOffers(sortedOffers)}
-                            </div>
-                        </div>
-                    </div>
+// Whether the pricing_viewed funnel event was sent, it's sent once per page load
+let pricingViewTracked = false;
+
+// Products that can be bought from the pricing tables, as displayed
+function trackPricingView(tables) {
+    const offerIds = [...tables].flatMap(table => [...table.querySelectorAll('[data-offer-id]')].map(button => button.dataset.offerId));
+    if (offerIds.length === 0) return;
+    pricingViewTracked = true;
+    trackEvent('pricing_viewed', {
+        productIds: [...new Set(offerIds.map(offerId => getOfferContext(offerId).productId))],
+        currency: currentCurrency
+    });
+}
+
+/**
+ * Content of an <iaptic-pricing-table>: the plans (or a button to manage the
+ * subscription), then one-time products. `productIds` limits the products shown.
+ */
+function renderPricingTable({ currency = currentCurrency, productIds = null } = {}) {
+    const products = currentProducts.filter(p =>
+        p.metadata?.canPurchase !== 'false' && (!productIds || productIds.includes(p.id))
+    );
+    const subscriptionProducts = products.filter(p => p.type === 'paid subscription');
+    const otherProducts = products.filter(p => p.type === 'non_consumable' || p.type === 'consumable');
+    const hasActiveSubscription = currentPurchases.some(isSubscriptionPurchase);
+
+    const canSubscribe = !hasActiveSubscription && subscriptionProducts.length > 0;
+
+    return html`
+        ${canSubscribe || otherProducts.length > 0 ? html`
+            <div class="d-flex justify-content-center px-4 pt-4">${renderPromotionField()}</div>
+        ` : ''}
+        ${hasActiveSubscription && subscriptionProducts.length > 0 ? html`
+            <div class="d-flex flex-wrap justify-content-center gap-4 p-4">
+                <button class="btn btn-primary" data-action="manage-subscription">
+                    ${t('pricing.manage')}
+                </button>
+            </div>
+        ` : subscriptionProducts.length > 0 ? html`
+            <div class="d-flex flex-column align-items-center gap-4 p-4">
+                <h3 class="mb-0">${t('pricing.subscriptionsTitle')}</h3>
+                ${renderSubscriptionProducts(subscriptionProducts, currency)}
+            </div>
+        ` : ''}
+        ${otherProducts.length > 0 ? html`
+            <div id="onetime-container" class="d-flex flex-wrap justify-content-center gap-4 p-4">
+                <h3 class="mb-0">${t('pricing.oneTimeTitle')}</h3>
+                <div class="row w-100 g-3">
+                    ${renderOtherProducts(otherProducts, currency)}
                 </div>
-            `;
-        }).join('');
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Content of an <iaptic-purchase-button>: a button to buy `offerId`, with its
+ * price, or a badge when it's a product the user already owns.
+ */
+function renderPurchaseButton({ offerId, label }) {
+    const product = currentProducts.find(p => p.offers.some(o => o.id === offerId));
+    if (!product) return '';
+    const offer = product.offers.find(o => o.id === offerId);
+    const phase = offer.pricingPhases.slice(-1)[0];
+
+    if (isOwnedProduct(product)) {
+        return html`<span class="badge bg-success-lt">${t('pricing.owned')}</span>`;
+    }
+    if (product.type === 'paid subscription') {
+        return renderOfferButton('subscribe', offer, label || html`
+            ${t('pricing.subscribe', { billing: formatBillingAdverb(phase.billingPeriod) })}
+            (${formatPrice(phase.priceMicros, phase.currency)}/${formatPeriod(phase.billingPeriod)})
+        `);
+    }
+    return renderOfferButton('purchase', offer, label || html`
+        ${t('pricing.purchase')} (${formatPrice(phase.priceMicros, phase.currency)})
+    `);
 }
 
-// Helper function to render other products (non-subscription)
-function renderOtherProducts(products) {
+function getOfferPeriod(offer) {
+    return offer?.pricingPhases.slice(-1)[0].billingPeriod;
+}
+
+// Offer billed every `period`, or the one with the shortest period if there is none
+function getOfferForPeriod(offers, period) {
+    return offers.find(offer => getOfferPeriod(offer) === period) || sortOffersByPeriod(offers)[0];
+}
+
+// Percentage saved by paying yearly rather than monthly, `null` if not cheaper or not sold both ways
+function getYearlySavings(offers) {
+    const monthly = offers.find(offer => getOfferPeriod(offer) === 'P1M')?.pricingPhases.slice(-1)[0];
+    const yearly = offers.find(offer => getOfferPeriod(offer) === 'P1Y')?.pricingPhases.slice(-1)[0];
+    if (!monthly?.priceMicros || !yearly) return null;
+    const savings = Math.round((1 - yearly.priceMicros / (monthly.priceMicros * 12)) * 100);
+    return savings > 0 ? savings : null;
+}
+
+// Plans side by side: their price for the selected billing period, then one row per feature (see features.js)
+function renderSubscriptionProducts(products, currency) {
+    const plans = products
+        // Sort by monthly price in the displayed currency
+        .sort((a, b) => getMonthlyPrice(a, currency) - getMonthlyPrice(b, currency))
+        .map(product => ({ product, ...getOffersInCurrency(product, currency) }));
+    const periods = plans.flatMap(({ offers }) => offers.map(getOfferPeriod));
+    const canToggle = periods.includes('P1M') && periods.includes('P1Y');
+    const maxSavings = Math.max(0, ...plans.map(({ offers }) => getYearlySavings(offers) || 0));
+    const cellClass = product => isRecommendedPlan(product) ? 'bg-primary-lt' : '';
+
+    return html`
+        ${canToggle ? html`
+            <div class="btn-group mb-3" role="group" aria-label="${t('comparison.billingPeriod')}">
+                ${['P1M', 'P1Y'].map(period => html`
+                    <button class="btn ${period === currentBillingPeriod ? 'btn-primary' : ''}"
+                            data-action="change-billing-period" data-period="${period}"
+                            aria-pressed="${String(period === currentBillingPeriod)}">
+                        ${formatBillingPeriod(period)}
+                        ${period === 'P1Y' && maxSavings > 0 ? html`
+                            <span class="badge bg-green-lt ms-2">${t('comparison.saveUpTo', { percent: maxSavings })}</span>
+                        ` : ''}
+                    </button>
+                `)}
+            </div>
+        ` : ''}
+        <div class="card">
+            <div class="table-responsive">
+                <table class="table table-vcenter card-table text-center">
+                    <thead>
+                        <tr>
+                            <th class="w-25"></th>
+                            ${plans.map(({ product, currency: offersCurrency }) => html`
+                                <th class="${cellClass(product)}">
+                                    ${isRecommendedPlan(product) ? html`
+                                        <span class="badge bg-primary mb-2">${t('comparison.recommended')}</span>
+                                    ` : ''}
+                                    <div class="h3 mb-1 text-body">${product.title}</div>
+                                    <div class="text-muted small fw-normal text-transform-none">${product.description || ''}</div>
+                                    ${renderCurrencyFallbackNote(offersCurrency, currency)}
+                                </th>
+                            `)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td class="text-start">${t('comparison.price')}</td>
+                            ${plans.map(({ product, offers }) => {
+                                const offer = getOfferForPeriod(offers, currentBillingPeriod);
+                                const savings = getOfferPeriod(offer) === 'P1Y' && getYearlySavings(offers);
+                                return html`
+                                    <td class="${cellClass(product)}">
+                                        ${offer ? renderSubscriptionOffers([offer]) : '—'}
+                                        ${savings ? html`<span class="badge bg-green-lt">${t('comparison.save', { percent: savings })}</span>` : ''}
+                                    </td>
+                                `;
+                            })}
+                        </tr>
+                        ${getFeatures(products).map(feature => html`
+                            <tr>
+                                <td class="text-start">
+                                    ${getFeatureLabel(feature)}
+                                    ${getFeatureTooltip(feature) ? html`
+                                        <span class="form-help ms-1" title="${getFeatureTooltip(feature)}"
+                                              aria-label="${getFeatureTooltip(feature)}">?</span>
+                                    ` : ''}
+                                </td>
+                                ${plans.map(({ product }) => html`
+                                    <td class="${cellClass(product)}">${renderFeatureValue(feature, product) ?? '—'}</td>
+                                `)}
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+// Non-consumables can only be bought once
+function isOwnedProduct(product) {
+    return product.type === 'non_consumable' && currentPurchases.some(p =>
+        p.productId === `stripe:${product.id}` && getPurchaseStatus(p) === 'owned'
+    );
+}
+
+// Helper function to render other products (non-subscription), priced in `currency` when they can be
+function renderOtherProducts(products, currency) {
     return products.map(product => {
-        const offer = product.offers[0]; // Usually only one offer for non-subscription products
+        const { offers, currency: offersCurrency } = getOffersInCurrency(product, currency);
+        const offer = offers[0]; // Usually only one offer per currency for non-subscription products
         const phase = offer?.pricingPhases.slice(-1)[0];
-        
-        return `
-            <div class="col-3">
-                <div class="card h-100">
-                    <div class="card-body">
-                        <div class="text-center mb-3">
-                            <h5 class="mb-1">${product.title}</h5>
-                            <div class="text-muted small">
-                                ${product.description || ''}
-                            </div>
-                        </div>
-                        ${product.metadata?.quota ? `
-                            <div class="text-center mb-3">
-                                <span class="badge bg-blue-lt">
-                                    ${product.metadata.quota} requests
-                                </span>
-                            </div>
-                        ` : ''}
-                        <div class="text-center">
-                            <div class="h4 mb-3">
-                                ${phase ? IapticJS.Utils.formatCurrency(phase.priceMicros, phase.currency) : 'Free'}
-                            </div>
-                            <button class="btn btn-primary" 
-                                    onclick="handlePurchase('${offer?.id}')">
-                                Purchase
-                            </button>
-                        </div>
+        const isOwned = isOwnedProduct(product);
+
+        return renderPriceCard({
+            product,
+            currency: offersCurrency,
+            wantedCurrency: currency,
+            content: html`
+                <div class="text-center">
+                    <div class="h4 mb-3">
+                        ${phase ? formatPrice(phase.priceMicros, phase.currency) : t('pricing.free')}
                     </div>
+                    ${offer && !isOwned ? renderPromotionPrice(offer) : ''}
+                    ${isOwned ? html`
+                        <span class="badge bg-success-lt">${t('pricing.owned')}</span>
+                    ` : html`
+                        <button class="btn btn-primary" data-action="purchase" data-offer-id="${offer?.id}">
+                            ${t('pricing.purchase')}
+                        </button>
+                    `}
                 </div>
-            </div>
-        `;
-    }).join('');
+            `
+        });
+    });
 }
 
 // Helper function to render subscription offers
 function renderSubscriptionOffers(offers) {
     return offers.map(offer => {
         const phase = offer.pricingPhases.slice(-1)[0];
-        const period = IapticJS.Utils.formatBillingPeriodEN(phase.billingPeriod).toLowerCase();
-        const isFree = phase.priceMicros === 0;
-        
-        return `
-            <div class="mb-2 text-center">
-                <div class="h4 mb-1">
-                    ${IapticJS.Utils.formatCurrency(phase.priceMicros, phase.currency)}
-                    <small class="text-muted">/${period}</small>
-                </div>
-                ${!isFree ? `
-                    <button class="btn btn-primary btn-sm" 
-                            onclick="handleSubscription('${offer.id}')">
-                        Subscribe ${period}
-                    </button>
-                ` : ''}
-            </div>
-        `;
-    }).join('');
+        const trial = getTrialPhase(offer);
+        const label = trial
+            ? t('pricing.startTrial', { duration: formatDuration(trial.billingPeriod, trial.billingCycles || 1) })
+            : t('pricing.subscribe', { billing: formatBillingAdverb(phase.billingPeriod) });
+
+        return renderOfferRow(offer, html`
+            ${renderPromotionPrice(offer)}
+            ${renderSeatSelector(offer)}
+            ${renderOfferButton('subscribe', offer, label)}
+        `);
+    });
 }
 
-// Add this new function to handle one-time purchases
-async function handlePurchase(offerId) {
+// Add this new function to handle one-time purchases. `source` is the element clicked, see dispatchIapticEvent()
+async function handlePurchase(offerId, source) {
+    if (!currentUser) return requireSignIn(t('login.toPurchase'), () => handlePurchase(offerId, source));
+    if (!dispatchIapticEvent(source, 'iaptic-checkout', { offerId }, { cancelable: true })) return;
     try {
+        await saveCheckout(offerId);
         await iaptic.order({
             offerId,
-            applicationUsername: 'user_dev',
+            applicationUsername: currentUser.username,
             successUrl: returnUrl('success'),
-            cancelUrl: returnUrl('cancel')
+            cancelUrl: returnUrl('cancel'),
+            promotionCode: getPromotionCode(offerId)
         });
     } catch (error) {
-        console.error('Error creating purchase:', error);
+        if (isPromotionError(error)) {
+            rejectPromotion(error);
+            return displayPrices(currentPurchases);
+        }
+        showError(error, { context: 'checkout', retry: () => handlePurchase(offerId, source) });
     }
 }
 
@@ -522,55 +1255,296 @@ function returnUrl(withHash) {
     return window.location.href.split('#')[0] + '#' + withHash;
 }
 
-async function handleSubscription(offerId) {
+async function handleSubscription(offerId, source) {
+    if (!currentUser) return requireSignIn(t('login.toSubscribe'), () => handleSubscription(offerId, source));
+    if (!dispatchIapticEvent(source, 'iaptic-checkout', { offerId }, { cancelable: true })) return;
     try {
+        await saveCheckout(offerId);
         await iaptic.initCheckoutSession({
             offerId,
-            applicationUsername: 'user_dev',
+            applicationUsername: currentUser.username,
             successUrl: returnUrl('success'),
-            cancelUrl: returnUrl('cancel')
+            cancelUrl: returnUrl('cancel'),
+            promotionCode: getPromotionCode(offerId),
+            quantity: getSelectedSeats(offerId)
         });
     } catch (error) {
-        console.error('Error creating subscription:', error);
+        if (isPromotionError(error)) {
+            rejectPromotion(error);
+            return displayPrices(currentPurchases);
+        }
+        showError(error, { context: 'checkout', retry: () => handleSubscription(offerId, source) });
     }
 }
 
 async function handleManageSubscription() {
     try {
+        trackEvent('portal_opened');
         await iaptic.redirectToCustomerPortal({
             returnUrl: window.location.href
         });
     } catch (error) {
-        console.error('Error managing subscription:', error);
+        showError(error, { context: 'portal', retry: handleManageSubscription });
     }
 }
 
-async function handlePlanChange(newOfferId) {
+// Opens the Customer Portal right on the form to change the card, see billing.js
+async function handleUpdatePaymentMethod() {
     try {
-        const newPurchase = await iaptic.changePlan({
-            offerId: newOfferId,
+        trackEvent('portal_opened', { flow: 'payment_method_update' });
+        await iaptic.redirectToCustomerPortal({
+            returnUrl: window.location.href,
+            flow: 'payment_method_update'
+        });
+    } catch (error) {
+        showError(error, { context: 'portal', retry: handleUpdatePaymentMethod });
+    }
+}
+
+// Asks for confirmation, with a price preview, before changing plans
+function showPlanChangeDialog(offerId) {
+    const purchase = getCurrentSubscription(currentPurchases);
+    const product = currentProducts.find(p => p.offers.some(o => o.id === offerId));
+    if (!purchase || !product) return;
+
+    // Teams keep their seats, up to what the new plan allows (one for plans not sold per seat)
+    const seats = Math.min(purchase.quantity || 1, getMaxSeats(product));
+    const offer = getOfferForSeats(product.offers.find(o => o.id === offerId), seats);
+    const currentProduct = currentProducts.find(p => `stripe:${p.id}` === purchase.productId);
+    const currentOffer = currentProduct?.offers.find(o => o.id === purchase.offerId);
+    const estimate = estimatePlanChange(purchase, currentOffer, offer);
+
+    const container = getPageContainer('dialog-container');
+    render(container, renderPlanChangeDialog({ purchase, currentProduct, currentOffer, product, offer, estimate }));
+    container.querySelector('dialog').showModal();
+}
+
+function closeDialog() {
+    const container = document.getElementById('dialog-container');
+    container?.querySelector('dialog')?.close();
+    render(container, '');
+}
+
+// First step of the cancel flow: the reason survey, see cancellation.js
+function showCancelDialog() {
+    const purchase = getCurrentSubscription(currentPurchases);
+    if (!purchase) return;
+    const product = currentProducts.find(p => `stripe:${p.id}` === purchase.productId);
+    cancellationSurvey = null;
+
+    const container = getPageContainer('dialog-container');
+    render(container, renderCancelSurveyDialog(product));
+    container.querySelector('dialog').showModal();
+}
+
+// Second step: a retention offer matching the answer, next to the confirmation of when access ends
+function handleCancelSurvey(form) {
+    const purchase = getCurrentSubscription(currentPurchases);
+    if (!purchase) return closeDialog();
+    const product = currentProducts.find(p => `stripe:${p.id}` === purchase.productId);
+    const downgrade = getDowngradeOffer(currentProducts, purchase);
+    const reason = form.reason.value;
+    cancellationSurvey = {
+        purchaseId: purchase.purchaseId,
+        productId: purchase.productId,
+        reason,
+        comment: form.comment.value
+    };
+
+    const container = getPageContainer('dialog-container');
+    container.querySelector('dialog')?.close();
+    render(container, renderRetentionDialog({
+        purchase,
+        product,
+        downgrade,
+        offers: getRetentionOffers(reason, purchase, downgrade)
+    }));
+    container.querySelector('dialog').showModal();
+}
+
+function keepSubscription() {
+    closeDialog();
+    return saveCancellationSurvey('kept');
+}
+
+// The downgrade waits for the end of the period already paid. The survey is saved once the offer
+// went through: when it fails, the subscription is unchanged and not cancelled either, so it counts as kept.
+async function handleRetentionOffer(offer, offerId) {
+    if (offer === 'downgrade') {
+        const changed = await handlePlanChange(offerId, 'renewal');
+        return saveCancellationSurvey(changed ? 'downgraded' : 'kept');
+    }
+    const paused = await handlePauseSubscription();
+    return saveCancellationSurvey(paused ? 'paused' : 'kept');
+}
+
+// Cancels at the end of the paid period: access continues until `expirationDate`.
+// Outside of offline mode, iaptic can't: the subscriber cancels in the Customer Portal.
+async function handleCancelSubscription() {
+    closeDialog();
+    const purchase = getCurrentSubscription(currentPurchases);
+    try {
+        const updated = await iaptic.cancelSubscription({ purchaseId: purchase.purchaseId });
+        saveCancellationSurvey('cancelled');
+        showMessage('subscription-cancelled', null, { date: formatDate(updated.expirationDate) });
+        await reloadPurchasesAndPrices();
+    } catch (error) {
+        if (error.code === 'NotSupported') {
+            saveCancellationSurvey('cancelled');
+            return handleManageSubscription();
+        }
+        showError(error, { context: 'cancellation', retry: handleCancelSubscription });
+    }
+}
+
+// Resolves with `false` when the subscription couldn't be paused
+async function handlePauseSubscription() {
+    closeDialog();
+    const purchase = getCurrentSubscription(currentPurchases);
+    try {
+        const updated = await iaptic.pauseSubscription({
+            purchaseId: purchase.purchaseId,
+            resumesAt: getPauseEndDate(purchase).toISOString()
         });
-        
-        // Update the display with the new purchase information
-        displaySubscriptionDetails({
-            ok: true,
-            purchases: [newPurchase]
+        showMessage('subscription-paused', null, { date: formatDate(updated.pause.resumesAt) });
+        await reloadPurchasesAndPrices();
+        return true;
+    } catch (error) {
+        showError(error, { context: 'cancellation', retry: handlePauseSubscription });
+        return false;
+    }
+}
+
+// Undoes a cancellation or a pause, the subscription renews as before.
+// Outside of offline mode, iaptic can't: the subscriber resumes in the Customer Portal.
+async function handleResumeSubscription() {
+    const purchase = getCurrentSubscription(currentPurchases);
+    try {
+        const updated = await iaptic.resumeSubscription({ purchaseId: purchase.purchaseId });
+        showMessage('subscription-resumed', null, { date: formatDate(updated.expirationDate) });
+        await reloadPurchasesAndPrices();
+    } catch (error) {
+        if (error.code === 'NotSupported') return handleManageSubscription();
+        showError(error, { context: 'resume', retry: handleResumeSubscription });
+    }
+}
+
+// Adds or removes seats of the team plan, Stripe prorates the difference.
+// Outside of offline mode, iaptic can't: the owner changes them in the Customer Portal.
+async function handleUpdateSeats(quantity) {
+    teamError = null;
+    try {
+        await apiRequest('POST', '/api/team/seats', { quantity });
+        showMessage('seats-updated', null, { count: quantity });
+        await reloadPurchasesAndPrices();
+    } catch (error) {
+        if (error.code === 'NotSupported') return handleManageSubscription();
+        teamError = getErrorMessage(error);
+        displaySubscriptionDetails(currentProducts, currentPurchases);
+    }
+}
+
+// `effectiveAt` is `now` (prorated) or `renewal` (at the end of the current period).
+// Resolves with `false` when the plan couldn't be changed.
+async function handlePlanChange(newOfferId, effectiveAt) {
+    closeDialog();
+    try {
+        await iaptic.changePlan({
+            offerId: newOfferId,
+            effectiveAt
         });
-        
-        // Show success message
-        showMessage('success-plan-change');
-        
-        // Refresh prices display to show updated current plan
-        displayPrices([newPurchase]);
+        invalidatePurchases();
+
+        showMessage(effectiveAt === 'renewal' ? 'plan-change-scheduled' : 'success-plan-change');
+        dispatchIapticEvent(null, 'iaptic-plan-change', { offerId: newOfferId, effectiveAt });
+        trackEvent('plan_changed', { ...getOfferContext(newOfferId), effectiveAt });
+
+        // Refresh the subscription details and prices to show the updated plan
+        const purchases = await displayPurchases();
+        displayPrices(purchases);
+        return true;
     } catch (error) {
-        console.error('Error changing plan:', error);
-        showMessage('error-plan-change');
+        showError(error, { context: 'planChange', retry: () => handlePlanChange(newOfferId, effectiveAt) });
+        return false;
     }
 }
 
+// Handlers for the data-action attributes in the templates above
+registerActions({
+    'show-sign-in': () => showLoginForm(),
+    'hide-sign-in': () => hideLoginForm(),
+    'sign-in': (form, event) => handleSignIn(event),
+    'sign-out': () => handleSignOut(),
+    'change-language': select => handleLanguageChange(select.value),
+    'change-currency': select => handleCurrencyChange(select.value),
+    'subscribe': button => {
+        trackEvent('offer_clicked', {
+            ...getOfferContext(button.dataset.offerId),
+            promotionCode: getPromotionCode(button.dataset.offerId),
+            quantity: getSelectedSeats(button.dataset.offerId)
+        });
+        return handleSubscription(button.dataset.offerId, button);
+    },
+    'purchase': button => {
+        trackEvent('offer_clicked', { ...getOfferContext(button.dataset.offerId), promotionCode: getPromotionCode(button.dataset.offerId) });
+        return handlePurchase(button.dataset.offerId, button);
+    },
+    'change-plan': button => showPlanChangeDialog(button.dataset.offerId),
+    'confirm-plan-change': form => handlePlanChange(form.offerId.value, form.effectiveAt.value),
+    'close-dialog': () => closeDialog(),
+    'cancel-subscription': () => showCancelDialog(),
+    'submit-cancel-survey': form => handleCancelSurvey(form),
+    'accept-retention-offer': button => handleRetentionOffer(button.dataset.offer, button.dataset.offerId),
+    'keep-subscription': () => keepSubscription(),
+    'confirm-cancel': () => handleCancelSubscription(),
+    'resume-subscription': () => handleResumeSubscription(),
+    'retry-checkout-confirmation': () => handleCheckoutReturn(),
+    'recover-error': () => recoverFromError(),
+    'dismiss-notice': () => hideUpdateNotice(),
+    'change-billing-period': button => {
+        currentBillingPeriod = button.dataset.period;
+        return displayPrices(currentPurchases);
+    },
+    'manage-subscription': () => handleManageSubscription(),
+    'update-payment-method': () => handleUpdatePaymentMethod(),
+    'change-seats': select => {
+        selectedSeats[select.dataset.productId] = Number(select.value);
+        return displayPrices(currentPurchases);
+    },
+    'invite-member': form => inviteMember(form.username.value)
+        .then(() => displaySubscriptionDetails(currentProducts, currentPurchases)),
+    'remove-member': button => removeMember(button.dataset.username)
+        .then(() => displaySubscriptionDetails(currentProducts, currentPurchases)),
+    'accept-invitation': button => acceptInvitation(button.dataset.owner)
+        .then(accepted => accepted ? showMessage('team-joined', null, { owner: button.dataset.owner })
+            : displaySubscriptionDetails(currentProducts, currentPurchases)),
+    'decline-invitation': button => declineInvitation(button.dataset.owner)
+        .then(() => displaySubscriptionDetails(currentProducts, currentPurchases)),
+    'leave-team': () => leaveTeam()
+        .then(() => displaySubscriptionDetails(currentProducts, currentPurchases)),
+    'update-seats': form => handleUpdateSeats(Number(form.quantity.value)),
+    'apply-promotion': form => applyPromotionCode(form.code.value).then(() => displayPrices(currentPurchases)),
+    'remove-promotion': () => {
+        removePromotion();
+        return displayPrices(currentPurchases);
+    },
+    'filter-purchases': select => {
+        purchaseFilters[select.dataset.filter] = select.value;
+        displayPurchaseHistory();
+    }
+});
+
+// Re-render when a refreshed catalog differs from the cached one
+onProductsUpdate(() => displayPrices(currentPurchases));
+
 // Initialize the display when the page loads
 document.addEventListener('DOMContentLoaded', async () => {
+    // The catalog loads while the session and purchases do
+    loadProducts().catch(() => {}); // Reported by displayPrices()
+    const promotionApplied = applyPromotionCode(getUrlPromotionCode() || '');
+    await loadSession();
     const purchases = await displayPurchases();
+    await promotionApplied;
     displayPrices(purchases);
     checkUrlHash();
 });
@@ -578,4 +1552,10 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Listen for hash changes
 window.addEventListener('hashchange', checkUrlHash);
 
-
+// Coming back from Checkout with the back button restores the page as it was, purchases may have changed since
+window.addEventListener('pageshow', async event => {
+    if (!event.persisted) return;
+    invalidatePurchases();
+    const purchases = await displayPurchases();
+    displayPrices(purchases);
+});
@@ -0,0 +1,80 @@
+// Live updates of purchases: server.js sends an event when the purchases of the
+// signed-in user change (see server/live-updates.js), e.g. after a checkout in
+// another tab, a plan change in the Customer Portal or a renewal. Browsers
+// allow few connections per site, so only one tab listens to server.js and
+// passes the events on to the other tabs through a BroadcastChannel. The tabs
+// elect it with a Web Lock: when it closes, another one takes over.
+
+const LIVE_UPDATES_URL = '/api/updates';
+
+// How long the "your plan was updated" notice stays
+const UPDATE_NOTICE_DURATION = 8000;
+
+/** Connection of the current user, `{ channel, source, release }` (`null` when signed out) */
+let liveUpdates = null;
+
+let updateNoticeTimer = null;
+
+// Calls `onUpdate()` whenever the purchases of `username` change, until stopLiveUpdates()
+function startLiveUpdates(username, onUpdate) {
+    stopLiveUpdates();
+    if (!username || !window.EventSource) return;
+
+    const name = `iaptic-live-updates:${username}`;
+    const channel = window.BroadcastChannel ? new BroadcastChannel(name) : null;
+    channel?.addEventListener('message', () => onUpdate());
+    const connection = liveUpdates = { channel, source: null, release: null };
+
+    // Keeps the lock, and the connection, until the user signs out or the tab closes
+    const listen = () => new Promise(resolve => {
+        if (liveUpdates !== connection) return resolve();
+        connection.release = resolve;
+        connection.source = new EventSource(LIVE_UPDATES_URL);
+        connection.source.addEventListener('purchases', () => {
+            channel?.postMessage('purchases');
+            onUpdate();
+        });
+        // Events sent while reconnecting are lost, purchases may have changed meanwhile
+        let connected = false;
+        connection.source.addEventListener('open', () => {
+            if (connected) onUpdate();
+            connected = true;
+        });
+    });
+
+    if (channel && navigator.locks) {
+        navigator.locks.request(name, listen);
+    } else {
+        listen();
+    }
+}
+
+function stopLiveUpdates() {
+    if (!liveUpdates) return;
+    liveUpdates.source?.close();
+    liveUpdates.channel?.close();
+    // Lets another tab take over
+    liveUpdates.release?.();
+    liveUpdates = null;
+}
+
+// Short notice in a corner of the page, the content it's about is re-rendered in place
+function showUpdateNotice(key) {
+    const container = getPageContainer('notice-container');
+    if (!container) return;
+    render(container, html`
+        <div class="toast show position-fixed bottom-0 end-0 m-3" role="status" aria-live="polite">
+            <div class="toast-body d-flex align-items-center">
+                <div>${t(key)}</div>
+                <button type="button" class="btn-close ms-auto" aria-label="${t('notice.dismiss')}" data-action="dismiss-notice"></button>
+            </div>
+        </div>
+    `);
+    clearTimeout(updateNoticeTimer);
+    updateNoticeTimer = setTimeout(hideUpdateNotice, UPDATE_NOTICE_DURATION);
+}
+
+function hideUpdateNotice() {
+    clearTimeout(updateNoticeTimer);
+    render(document.getElementById('notice-container'), '');
+}
@@ -0,0 +1,310 @@
+window.IAPTIC_DEMO_LOCALES = window.IAPTIC_DEMO_LOCALES || {};
+window.IAPTIC_DEMO_LOCALES.en = {
+    'language.name': 'English',
+    'language.label': 'Language',
+    'currency.label': 'Currency',
+    'currency.fallback': 'Not available in {wanted}, prices in {currency}',
+
+    'common.loading': 'Loading...',
+    'common.cancel': 'Cancel',
+    'common.notAvailable': 'N/A',
+
+    'message.success.title': 'Payment successful',
+    'message.success.text': 'Thank you for your subscription!',
+    'message.cancel.title': 'Payment canceled',
+    'message.cancel.text': 'The payment process was canceled.',
+    'message.confirming.title': 'Confirming your payment',
+    'message.confirming.text': 'Stripe received your payment, we are waiting for it to be confirmed. This usually takes a few seconds.',
+    'message.timeout.title': 'Your payment is not confirmed yet',
+    'message.timeout.text': 'Confirmation can take a few minutes. You don\'t need to pay again, your purchase will show up here once confirmed.',
+    'message.timeout.retry': 'Check again',
+    'message.failed.title': 'Payment failed',
+    'message.failed.text': 'Your payment could not be completed. Please try again with another payment method.',
+    'message.cancelPlanChange.title': 'Plan change canceled',
+    'message.cancelPlanChange.text': 'Your subscription was not changed.',
+    'message.successPlanChange.title': 'Plan changed successfully',
+    'message.successPlanChange.text': 'Your subscription has been updated to the new plan.',
+    'message.planChangeScheduled.title': 'Plan change scheduled',
+    'message.planChangeScheduled.text': 'Your subscription will switch to the new plan at the end of the current period.',
+    'message.subscriptionCancelled.title': 'Subscription cancelled',
+    'message.subscriptionCancelled.text': 'Your subscription won\'t renew. You keep access until {date}.',
+    'message.subscriptionResumed.title': 'Subscription resumed',
+    'message.subscriptionResumed.text': 'Your subscription renews on {date} as before.',
+    'message.subscriptionPaused.title': 'Subscription paused',
+    'message.subscriptionPaused.text': 'You won\'t be charged until {date}.',
+    'message.seatsUpdated.title': 'Seats updated',
+    'message.seatsUpdated.text': { one: 'Your team now has 1 seat.', other: 'Your team now has {count} seats.' },
+    'message.teamJoined.title': 'Welcome to the team',
+    'message.teamJoined.text': 'You now have access to the plan of {owner}\'s team.',
+    'notice.planUpdated': 'Your plan was updated.',
+    'notice.purchasesUpdated': 'Your purchases were updated.',
+    'notice.dismiss': 'Dismiss',
+
+    'failure.network.title': 'Connection problem',
+    'failure.network.text': 'The server could not be reached. Check your internet connection and try again.',
+    'failure.auth.title': 'Store unavailable',
+    'failure.auth.text': 'Payments are not configured correctly (missing or invalid credentials). Please contact the site owner.',
+    'failure.invalidOffer.title': 'Offer unavailable',
+    'failure.invalidOffer.text': 'This offer is no longer available. Reload the prices to see the current offers.',
+    'failure.provider.title': 'Payment service error',
+    'failure.provider.text': 'The payment service could not handle the request. Please try again in a moment.',
+    'failure.unknown.title': 'Something went wrong',
+    'failure.unknown.text': 'An unexpected error occurred. Please try again.',
+    'failure.retry': 'Try again',
+    'failure.reloadPrices': 'Reload prices',
+    'failure.context.prices': 'Could not load the prices',
+    'failure.context.purchases': 'Could not load your purchases',
+    'failure.context.checkout': 'Could not open the checkout',
+    'failure.context.portal': 'Could not open the customer portal',
+    'failure.context.planChange': 'Failed to change plan',
+    'failure.context.cancellation': 'Failed to cancel your subscription',
+    'failure.context.resume': 'Failed to resume your subscription',
+
+    'account.signedInAs': 'Signed in as {username}',
+    'account.signIn': 'Sign in',
+    'account.signOut': 'Sign out',
+    'login.title': 'Sign in',
+    'login.username': 'Username',
+    'login.password': 'Password',
+    'login.submit': 'Sign in',
+    'login.signUp': 'Create account',
+    'login.toSubscribe': 'Sign in to subscribe.',
+    'login.toPurchase': 'Sign in to complete your purchase.',
+    'errors.InvalidCredentials': 'Wrong username or password',
+    'errors.UsernameTaken': 'This username is already taken',
+    'errors.InvalidUsername': 'Usernames are 3 to 64 letters, digits or _.@- characters',
+    'errors.InvalidPassword': 'Passwords must be at least 8 characters long',
+    'errors.PromotionNotFound': 'This promo code doesn\'t exist',
+    'errors.PromotionExpired': 'This promo code has expired',
+    'errors.PromotionNotApplicable': 'This promo code doesn\'t apply to these products',
+    'errors.TooManyRequests': 'Too many attempts, try again in a minute',
+    'errors.AlreadyMember': 'This user is already in your team',
+    'errors.NoSeatsLeft': 'Every seat is taken, add seats first',
+    'errors.SeatsInUse': 'Remove members or invitations before removing their seats',
+    'errors.InvalidQuantity': 'This number of seats isn\'t available for this plan',
+    'errors.MemberNotFound': 'This user is not in your team',
+    'errors.AlreadyInvited': 'This user is already invited to your team',
+    'errors.InvitationNotFound': 'This invitation was cancelled',
+    'errors.AlreadyInTeam': 'You are already in a team, leave it first',
+
+    'subscription.title': 'Current Subscription',
+    'subscription.defaultTitle': 'Subscription',
+    'subscription.plan': 'Plan:',
+    'subscription.description': 'Description:',
+    'subscription.amount': 'Amount:',
+    'subscription.lastPayment': 'Last payment:',
+    'subscription.seats': 'Seats:',
+    'subscription.billingPeriod': 'Billing Period:',
+    'subscription.recurring': 'Recurring',
+    'subscription.status': 'Status:',
+    'subscription.startDate': 'Start Date:',
+    'subscription.lastRenewal': 'Last Renewal:',
+    'subscription.nextRenewal': 'Next Renewal:',
+    'subscription.access': 'Access:',
+    'subscription.trialPeriod': 'Trial Period:',
+    'subscription.trialEnds': 'Ends {time}',
+    'subscription.afterTrial': 'After the Trial:',
+    'subscription.scheduledChange': 'Scheduled Change:',
+    'subscription.switchesTo': 'Switches to {plan} on {date}',
+    'subscription.accessEnds': 'Access Ends:',
+    'subscription.paused': 'Paused:',
+    'subscription.pausedFrom': 'No payment from {start} to {end}',
+    'subscription.cancel': 'Cancel subscription',
+    'subscription.resume': 'Resume subscription',
+    'subscription.renewalDue': 'Renewal Due:',
+    'subscription.cancelationReason': 'Reason:',
+    'billing.gracePeriod.title': 'Your payment failed',
+    'billing.gracePeriod.text': {
+        one: 'We couldn\'t charge {amount} for your renewal. Update your payment method to keep your access: 1 day left, until {date}.',
+        other: 'We couldn\'t charge {amount} for your renewal. Update your payment method to keep your access: {count} days left, until {date}.'
+    },
+    'billing.billingRetry.title': 'Your access is suspended',
+    'billing.billingRetry.text': 'We couldn\'t charge {amount} for your renewal on {date} and will try again. Update your payment method to get your access back right away.',
+    'billing.pastDue.title': 'Your renewal payment is overdue',
+    'billing.pastDue.text': 'Your subscription was due for renewal on {date} and we haven\'t received the payment of {amount}. Update your payment method to get your access back.',
+    'billing.updatePaymentMethod': 'Update payment method',
+    'seats.label': 'Number of seats',
+    'seats.count': { one: '1 seat', other: '{count} seats' },
+    'seats.perSeat': 'per seat',
+    'seats.total': { one: '{price}/{period} for 1 seat', other: '{price}/{period} for {count} seats' },
+    'seats.update': 'Change seats',
+    'seats.updateNote': '{price}/{period} per seat, prorated',
+    'team.title': 'Team',
+    'team.seatsUsed': { one: '{used} of 1 seat used', other: '{used} of {count} seats used' },
+    'team.owner': 'Owner',
+    'team.addedOn': 'Added on {date}',
+    'team.pending': 'Invited',
+    'team.invitedOn': 'Invited on {date}, waiting for them to accept',
+    'team.cancelInvitation': 'Cancel invitation',
+    'team.remove': 'Remove',
+    'team.username': 'Username of the member',
+    'team.invite': 'Invite',
+    'team.noSeatsLeft': 'Every seat is taken: add seats to invite more members.',
+    'team.memberTitle': 'Team member',
+    'team.memberText': 'You have access to the {plan} plan of {owner}\'s team.',
+    'team.leave': 'Leave the team',
+    'team.invitationTitle': 'Team invitation',
+    'team.invitationText': '{owner} invites you to join their team and share their plan.',
+    'team.accept': 'Accept',
+    'team.decline': 'Decline',
+    'cancelationReason.Customer': 'You cancelled',
+    'cancelationReason.Customer.Cost': 'You cancelled because of the price',
+    'cancelationReason.Customer.PriceIncrease': 'You cancelled after a price increase',
+    'cancelationReason.Customer.TechnicalIssues': 'You cancelled because of technical issues',
+    'cancelationReason.Customer.FoundBetterApp': 'You cancelled to use another product',
+    'cancelationReason.Customer.NotUsefulEnough': 'You cancelled as you didn\'t use it enough',
+    'cancelationReason.Developer': 'Cancelled by us',
+    'cancelationReason.System': 'Cancelled automatically',
+    'cancelationReason.System.BillingError': 'Ended because the payment failed',
+    'cancelationReason.System.Replaced': 'Replaced by another plan',
+    'cancelationReason.System.ProductUnavailable': 'The plan is no longer available',
+    'cancelationReason.System.Deleted': 'The subscription was deleted',
+    'cancelationReason.Unknown': 'Ended for an unknown reason',
+    'status.cancelled': 'Cancelled',
+    'status.active': 'Active',
+    'status.canceling': 'Canceling',
+    'status.gracePeriod': 'Payment failed',
+    'status.billingRetry': 'Suspended',
+    'status.pastDue': 'Past due',
+    'status.expired': 'Expired',
+    'status.owned': 'Owned',
+    'access.confirmed': 'Confirmed by server',
+    'access.pending': 'Not confirmed yet',
+
+    'plan.changeTitle': 'Change Plan',
+    'plan.renew': 'Renew',
+    'plan.current': 'Current Plan',
+    'plan.switch': 'Switch to {billing}',
+
+    'planChange.title': 'Change plan',
+    'planChange.renewTitle': 'Renew subscription',
+    'planChange.from': 'Current plan',
+    'planChange.to': 'New plan',
+    'planChange.plan': 'Plan',
+    'planChange.now': 'Switch now',
+    'planChange.atRenewal': 'Switch on {date}',
+    'planChange.chargeSummary': 'About {amount} is charged today for the rest of the current period. Then {price} on each renewal, starting {date}.',
+    'planChange.newPeriodSummary': 'About {amount} is charged today for a first {period}, minus the unused time of your current plan. Then {price} on each renewal, starting {date}.',
+    'planChange.creditSummary': 'About {amount} for the unused time is credited to your next invoices. Then {price} on each renewal, starting {date}.',
+    'planChange.atRenewalSummary': 'Nothing to pay today, you keep your current plan until then. Then {price} on each renewal, starting {date}.',
+    'planChange.renewSummary': '{amount} is charged today. Your subscription renews on {date}.',
+    'planChange.estimateNote': 'Amounts are estimates, the final amount is computed by Stripe when the change is made.',
+    'planChange.confirm': 'Confirm change',
+    'planChange.confirmRenew': 'Renew',
+    'cancellation.title': 'Cancel {plan}',
+    'cancellation.question': 'We\'re sorry to see you go. Why are you cancelling?',
+    'cancellation.reason.too_expensive': 'It\'s too expensive',
+    'cancellation.reason.not_using': 'I don\'t use it enough',
+    'cancellation.reason.missing_features': 'It lacks features I need',
+    'cancellation.reason.switching': 'I\'m switching to another product',
+    'cancellation.reason.technical_issues': 'I ran into technical issues',
+    'cancellation.reason.other': 'Another reason',
+    'cancellation.comment': 'Anything else you\'d like to tell us? (optional)',
+    'cancellation.continue': 'Continue',
+    'cancellation.keep': 'Keep my subscription',
+    'cancellation.offerTitle': 'Before you go',
+    'cancellation.confirmTitle': 'Confirm cancellation',
+    'cancellation.downgrade': 'Switch to {plan}',
+    'cancellation.downgradeText': 'Keep your current plan until {date}, then pay {price}.',
+    'cancellation.downgradeAction': 'Switch',
+    'cancellation.pause': 'Pause for {duration}',
+    'cancellation.pauseText': 'Keep your access until {date}, then nothing to pay until {resumeDate}.',
+    'cancellation.pauseAction': 'Pause',
+    'cancellation.accessUntil': 'If you cancel, your subscription won\'t renew and you keep access to {plan} until {date}.',
+    'cancellation.confirm': 'Cancel subscription',
+
+    'details.show': 'Show technical details...',
+    'details.purchaseId': 'Purchase ID:',
+    'details.transactionId': 'Transaction ID:',
+    'details.productId': 'Product ID:',
+    'details.offerId': 'Offer ID:',
+    'details.rawJson': 'Show raw JSON...',
+
+    'usage.title': 'Requests this month',
+    'usage.credits': {
+        one: '+ {count} extra request from request packs',
+        other: '+ {count} extra requests from request packs'
+    },
+    'usage.low': 'You are running low on requests: {count} left.',
+    'usage.upgrade': 'Upgrade plan',
+    'usage.topUp': 'Buy a request pack',
+
+    'history.title': 'Purchase History',
+    'history.filterType': 'Filter by type',
+    'history.filterStatus': 'Filter by status',
+    'history.allTypes': 'All types',
+    'history.allStatuses': 'All statuses',
+    'history.product': 'Product',
+    'history.type': 'Type',
+    'history.status': 'Status',
+    'history.purchaseDate': 'Purchased',
+    'history.expirationDate': 'Renews / expires',
+    'history.amount': 'Amount',
+    'history.receipts': 'Receipts',
+    'receipts.download': 'Download receipt',
+    'receipts.pdf': 'PDF',
+    'receipts.earlier': { one: '1 earlier receipt', other: '{count} earlier receipts' },
+    'receipts.exportCsv': 'Export CSV',
+    'history.empty': 'No purchases match these filters.',
+    'type.subscription': 'Subscription',
+    'type.oneTime': 'One-time',
+
+    'pricing.subscriptionsTitle': 'Subscription Plans',
+    'pricing.oneTimeTitle': 'One-time Purchases',
+    'pricing.manage': 'Manage Subscription',
+    'pricing.subscribe': 'Subscribe {billing}',
+    'pricing.startTrial': 'Try free for {duration}',
+    'pricing.purchase': 'Purchase',
+    'pricing.free': 'Free',
+    'pricing.owned': 'Owned',
+    'promotion.label': 'Promo code',
+    'promotion.apply': 'Apply',
+    'promotion.remove': 'Remove',
+    'promotion.applied': '{code} applied: {discount}',
+    'promotion.percentOff': '{percent}% off',
+    'promotion.amountOff': '{amount} off',
+    'promotion.once': '{price} for the first {period}',
+    'promotion.onceAfterTrial': '{price} for the first {period} after the trial',
+    'promotion.repeating': '{price}/{period} for {duration}',
+    'phase.freeTrial': 'Free for {duration}',
+    'phase.intro': '{price}/{period} for {duration}',
+    'phase.upFront': '{price} for {duration}',
+    'phase.then': 'then',
+    'quota.perMonth': { one: '{count} request/month', other: '{count} requests/month' },
+    'quota.pack': { one: '{count} request', other: '{count} requests' },
+
+    'comparison.billingPeriod': 'Billing period',
+    'comparison.price': 'Price',
+    'comparison.recommended': 'Recommended',
+    'comparison.save': 'Save {percent}%',
+    'comparison.saveUpTo': 'Save up to {percent}%',
+    'feature.yes': 'Included',
+    'feature.no': 'Not included',
+    'feature.quota': 'API requests',
+    'feature.quota.tooltip': 'Requests included each month. Request packs can be bought on top of it.',
+    'feature.supportLevel': 'Support',
+    'feature.supportLevel.tooltip': 'How you can reach our team when you need help.',
+    'feature.custom_domains': 'Custom domains',
+
+    'support.0': 'Basic Support',
+    'support.1': 'Email Support',
+    'support.2': 'Personalized Support',
+    'support.default': 'Support',
+
+    'period.day': { one: 'day', other: '{count} days' },
+    'period.week': { one: 'week', other: '{count} weeks' },
+    'period.month': { one: 'month', other: '{count} months' },
+    'period.year': { one: 'year', other: '{count} years' },
+    'duration.day': { one: '{count} day', other: '{count} days' },
+    'duration.week': { one: '{count} week', other: '{count} weeks' },
+    'duration.month': { one: '{count} month', other: '{count} months' },
+    'duration.year': { one: '{count} year', other: '{count} years' },
+    'billing.day': { one: 'Daily', other: 'Every {count} days' },
+    'billing.week': { one: 'Weekly', other: 'Every {count} weeks' },
+    'billing.month': { one: 'Monthly', other: 'Every {count} months' },
+    'billing.year': { one: 'Yearly', other: 'Every {count} years' },
+    'billingAdverb.day': { one: 'daily', other: 'every {count} days' },
+    'billingAdverb.week': { one: 'weekly', other: 'every {count} weeks' },
+    'billingAdverb.month': { one: 'monthly', other: 'every {count} months' },
+    'billingAdverb.year': { one: 'yearly', other: 'every {count} years' }
+};
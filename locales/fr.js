@@ -0,0 +1,313 @@
+window.IAPTIC_DEMO_LOCALES = window.IAPTIC_DEMO_LOCALES || {};
+window.IAPTIC_DEMO_LOCALES.fr = {
+    'language.name': 'Français',
+    'language.label': 'Langue',
+    'currency.label': 'Devise',
+    'currency.fallback': 'Non disponible en {wanted}, prix en {currency}',
+
+    'common.loading': 'Chargement...',
+    'common.cancel': 'Annuler',
+    'common.notAvailable': 'N/D',
+
+    'message.success.title': 'Paiement réussi',
+    'message.success.text': 'Merci pour votre abonnement !',
+    'message.cancel.title': 'Paiement annulé',
+    'message.cancel.text': 'Le paiement a été annulé.',
+    'message.confirming.title': 'Confirmation de votre paiement',
+    'message.confirming.text': 'Stripe a reçu votre paiement, nous attendons sa confirmation. Cela prend en général quelques secondes.',
+    'message.timeout.title': 'Votre paiement n\'est pas encore confirmé',
+    'message.timeout.text': 'La confirmation peut prendre quelques minutes. Inutile de payer à nouveau, votre achat apparaîtra ici une fois confirmé.',
+    'message.timeout.retry': 'Vérifier à nouveau',
+    'message.failed.title': 'Échec du paiement',
+    'message.failed.text': 'Votre paiement n\'a pas pu aboutir. Veuillez réessayer avec un autre moyen de paiement.',
+    'message.cancelPlanChange.title': 'Changement de formule annulé',
+    'message.cancelPlanChange.text': 'Votre abonnement n\'a pas été modifié.',
+    'message.successPlanChange.title': 'Formule modifiée',
+    'message.successPlanChange.text': 'Votre abonnement est passé à la nouvelle formule.',
+    'message.planChangeScheduled.title': 'Changement de formule programmé',
+    'message.planChangeScheduled.text': 'Votre abonnement passera à la nouvelle formule à la fin de la période en cours.',
+    'message.subscriptionCancelled.title': 'Abonnement résilié',
+    'message.subscriptionCancelled.text': 'Votre abonnement ne sera pas renouvelé. Vous gardez l\'accès jusqu\'au {date}.',
+    'message.subscriptionResumed.title': 'Abonnement repris',
+    'message.subscriptionResumed.text': 'Votre abonnement sera renouvelé le {date} comme avant.',
+    'message.subscriptionPaused.title': 'Abonnement en pause',
+    'message.subscriptionPaused.text': 'Vous ne serez pas débité avant le {date}.',
+    'message.seatsUpdated.title': 'Places mises à jour',
+    'message.seatsUpdated.text': { one: 'Votre équipe a maintenant 1 place.', other: 'Votre équipe a maintenant {count} places.' },
+    'message.teamJoined.title': 'Bienvenue dans l\'équipe',
+    'message.teamJoined.text': 'Vous avez maintenant accès à l\'offre de l\'équipe de {owner}.',
+    'notice.planUpdated': 'Votre abonnement a été mis à jour.',
+    'notice.purchasesUpdated': 'Vos achats ont été mis à jour.',
+    'notice.dismiss': 'Fermer',
+
+    'failure.network.title': 'Problème de connexion',
+    'failure.network.text': 'Le serveur est injoignable. Vérifiez votre connexion internet et réessayez.',
+    'failure.auth.title': 'Boutique indisponible',
+    'failure.auth.text': 'Les paiements ne sont pas configurés correctement (identifiants manquants ou invalides). Veuillez contacter le responsable du site.',
+    'failure.invalidOffer.title': 'Offre indisponible',
+    'failure.invalidOffer.text': 'Cette offre n\'est plus disponible. Rechargez les prix pour voir les offres actuelles.',
+    'failure.provider.title': 'Erreur du service de paiement',
+    'failure.provider.text': 'Le service de paiement n\'a pas pu traiter la demande. Veuillez réessayer dans un instant.',
+    'failure.unknown.title': 'Une erreur est survenue',
+    'failure.unknown.text': 'Une erreur inattendue est survenue. Veuillez réessayer.',
+    'failure.retry': 'Réessayer',
+    'failure.reloadPrices': 'Recharger les prix',
+    'failure.context.prices': 'Impossible de charger les prix',
+    'failure.context.purchases': 'Impossible de charger vos achats',
+    'failure.context.checkout': 'Impossible d\'ouvrir le paiement',
+    'failure.context.portal': 'Impossible d\'ouvrir l\'espace client',
+    'failure.context.planChange': 'Impossible de changer de formule',
+    'failure.context.cancellation': 'Impossible de résilier votre abonnement',
+    'failure.context.resume': 'Impossible de reprendre votre abonnement',
+
+    'account.signedInAs': 'Connecté en tant que {username}',
+    'account.signIn': 'Se connecter',
+    'account.signOut': 'Se déconnecter',
+    'login.title': 'Connexion',
+    'login.username': 'Nom d\'utilisateur',
+    'login.password': 'Mot de passe',
+    'login.submit': 'Se connecter',
+    'login.signUp': 'Créer un compte',
+    'login.toSubscribe': 'Connectez-vous pour vous abonner.',
+    'login.toPurchase': 'Connectez-vous pour finaliser votre achat.',
+    'errors.InvalidCredentials': 'Nom d\'utilisateur ou mot de passe incorrect',
+    'errors.UsernameTaken': 'Ce nom d\'utilisateur est déjà pris',
+    'errors.InvalidUsername': 'Le nom d\'utilisateur doit comporter de 3 à 64 lettres, chiffres ou caractères _.@-',
+    'errors.InvalidPassword': 'Le mot de passe doit comporter au moins 8 caractères',
+    'errors.PromotionNotFound': 'Ce code promo n\'existe pas',
+    'errors.PromotionExpired': 'Ce code promo a expiré',
+    'errors.PromotionNotApplicable': 'Ce code promo ne s\'applique pas à ces produits',
+    'errors.TooManyRequests': 'Trop de tentatives, réessayez dans une minute',
+    'errors.AlreadyMember': 'Cet utilisateur fait déjà partie de votre équipe',
+    'errors.NoSeatsLeft': 'Toutes les places sont prises, ajoutez d\'abord des places',
+    'errors.SeatsInUse': 'Retirez des membres ou des invitations avant de retirer leurs places',
+    'errors.InvalidQuantity': 'Ce nombre de places n\'est pas disponible pour cette offre',
+    'errors.MemberNotFound': 'Cet utilisateur ne fait pas partie de votre équipe',
+    'errors.AlreadyInvited': 'Cet utilisateur est déjà invité dans votre équipe',
+    'errors.InvitationNotFound': 'Cette invitation a été annulée',
+    'errors.AlreadyInTeam': 'Vous faites déjà partie d\'une équipe, quittez-la d\'abord',
+
+    'subscription.title': 'Abonnement actuel',
+    'subscription.defaultTitle': 'Abonnement',
+    'subscription.plan': 'Formule :',
+    'subscription.description': 'Description :',
+    'subscription.amount': 'Montant :',
+    'subscription.lastPayment': 'Dernier paiement :',
+    'subscription.seats': 'Places :',
+    'subscription.billingPeriod': 'Facturation :',
+    'subscription.recurring': 'Récurrente',
+    'subscription.status': 'Statut :',
+    'subscription.startDate': 'Date de début :',
+    'subscription.lastRenewal': 'Dernier renouvellement :',
+    'subscription.nextRenewal': 'Prochain renouvellement :',
+    'subscription.access': 'Accès :',
+    'subscription.trialPeriod': 'Période d\'essai :',
+    'subscription.trialEnds': 'Se termine {time}',
+    'subscription.afterTrial': 'Après l\'essai :',
+    'subscription.scheduledChange': 'Changement prévu :',
+    'subscription.switchesTo': 'Passage à {plan} le {date}',
+    'subscription.accessEnds': 'Fin de l\'accès :',
+    'subscription.paused': 'En pause :',
+    'subscription.pausedFrom': 'Aucun paiement du {start} au {end}',
+    'subscription.cancel': 'Résilier l\'abonnement',
+    'subscription.resume': 'Reprendre l\'abonnement',
+    'subscription.renewalDue': 'Renouvellement dû :',
+    'subscription.cancelationReason': 'Raison :',
+    'billing.gracePeriod.title': 'Votre paiement a été refusé',
+    'billing.gracePeriod.text': {
+        one: 'Nous n\'avons pas pu prélever {amount} pour votre renouvellement. Mettez à jour votre moyen de paiement pour garder votre accès : il reste 1 jour, jusqu\'au {date}.',
+        other: 'Nous n\'avons pas pu prélever {amount} pour votre renouvellement. Mettez à jour votre moyen de paiement pour garder votre accès : il reste {count} jours, jusqu\'au {date}.'
+    },
+    'billing.billingRetry.title': 'Votre accès est suspendu',
+    'billing.billingRetry.text': 'Nous n\'avons pas pu prélever {amount} pour votre renouvellement du {date} et allons réessayer. Mettez à jour votre moyen de paiement pour retrouver votre accès tout de suite.',
+    'billing.pastDue.title': 'Le paiement de votre renouvellement est en retard',
+    'billing.pastDue.text': 'Votre abonnement devait être renouvelé le {date} et nous n\'avons pas reçu le paiement de {amount}. Mettez à jour votre moyen de paiement pour retrouver votre accès.',
+    'billing.updatePaymentMethod': 'Mettre à jour le moyen de paiement',
+    'seats.label': 'Nombre de places',
+    'seats.count': { one: '1 place', other: '{count} places' },
+    'seats.perSeat': 'par place',
+    'seats.total': { one: '{price}/{period} pour 1 place', other: '{price}/{period} pour {count} places' },
+    'seats.update': 'Modifier les places',
+    'seats.updateNote': '{price}/{period} par place, au prorata',
+    'team.title': 'Équipe',
+    'team.seatsUsed': { one: 'Places utilisées : {used} sur 1', other: 'Places utilisées : {used} sur {count}' },
+    'team.owner': 'Propriétaire',
+    'team.addedOn': 'Ajouté le {date}',
+    'team.pending': 'Invité',
+    'team.invitedOn': 'Invité le {date}, en attente d\'acceptation',
+    'team.cancelInvitation': 'Annuler l\'invitation',
+    'team.remove': 'Retirer',
+    'team.username': 'Nom d\'utilisateur du membre',
+    'team.invite': 'Inviter',
+    'team.noSeatsLeft': 'Toutes les places sont prises : ajoutez des places pour inviter d\'autres membres.',
+    'team.memberTitle': 'Membre d\'une équipe',
+    'team.memberText': 'Vous avez accès à l\'offre {plan} de l\'équipe de {owner}.',
+    'team.leave': 'Quitter l\'équipe',
+    'team.invitationTitle': 'Invitation dans une équipe',
+    'team.invitationText': '{owner} vous invite à rejoindre son équipe et à partager son offre.',
+    'team.accept': 'Accepter',
+    'team.decline': 'Refuser',
+    'cancelationReason.Customer': 'Vous avez résilié',
+    'cancelationReason.Customer.Cost': 'Vous avez résilié à cause du prix',
+    'cancelationReason.Customer.PriceIncrease': 'Vous avez résilié après une hausse de prix',
+    'cancelationReason.Customer.TechnicalIssues': 'Vous avez résilié à cause de problèmes techniques',
+    'cancelationReason.Customer.FoundBetterApp': 'Vous avez résilié pour un autre produit',
+    'cancelationReason.Customer.NotUsefulEnough': 'Vous avez résilié faute de l\'utiliser assez',
+    'cancelationReason.Developer': 'Résilié par nos soins',
+    'cancelationReason.System': 'Résilié automatiquement',
+    'cancelationReason.System.BillingError': 'Terminé suite à un paiement refusé',
+    'cancelationReason.System.Replaced': 'Remplacé par une autre formule',
+    'cancelationReason.System.ProductUnavailable': 'La formule n\'est plus disponible',
+    'cancelationReason.System.Deleted': 'L\'abonnement a été supprimé',
+    'cancelationReason.Unknown': 'Terminé pour une raison inconnue',
+    'status.cancelled': 'Annulé',
+    'status.active': 'Actif',
+    'status.canceling': 'En cours d\'annulation',
+    'status.gracePeriod': 'Paiement refusé',
+    'status.billingRetry': 'Suspendu',
+    'status.pastDue': 'Impayé',
+    'status.expired': 'Expiré',
+    'status.owned': 'Acheté',
+    'access.confirmed': 'Confirmé par le serveur',
+    'access.pending': 'Pas encore confirmé',
+
+    'plan.changeTitle': 'Changer de formule',
+    'plan.renew': 'Renouveler',
+    'plan.current': 'Formule actuelle',
+    'plan.switch': 'Payer {billing}',
+
+    'planChange.title': 'Changer de formule',
+    'planChange.renewTitle': 'Renouveler l\'abonnement',
+    'planChange.from': 'Formule actuelle',
+    'planChange.to': 'Nouvelle formule',
+    'planChange.plan': 'Formule',
+    'planChange.now': 'Changer maintenant',
+    'planChange.atRenewal': 'Changer le {date}',
+    'planChange.chargeSummary': 'Environ {amount} est facturé aujourd\'hui pour le reste de la période en cours. Puis {price} à chaque renouvellement, à partir du {date}.',
+    'planChange.newPeriodSummary': 'Environ {amount} est facturé aujourd\'hui pour une première période ({period}), moins la période non utilisée de votre formule actuelle. Puis {price} à chaque renouvellement, à partir du {date}.',
+    'planChange.creditSummary': 'Environ {amount} pour la période non utilisée est crédité sur vos prochaines factures. Puis {price} à chaque renouvellement, à partir du {date}.',
+    'planChange.atRenewalSummary': 'Rien à payer aujourd\'hui, vous gardez votre formule actuelle jusque-là. Puis {price} à chaque renouvellement, à partir du {date}.',
+    'planChange.renewSummary': '{amount} est facturé aujourd\'hui. Votre abonnement sera renouvelé le {date}.',
+    'planChange.estimateNote': 'Montants estimés, le montant final est calculé par Stripe lors du changement.',
+    'planChange.confirm': 'Confirmer le changement',
+    'planChange.confirmRenew': 'Renouveler',
+    'cancellation.title': 'Résilier {plan}',
+    'cancellation.question': 'Nous sommes désolés de vous voir partir. Pourquoi résiliez-vous ?',
+    'cancellation.reason.too_expensive': 'C\'est trop cher',
+    'cancellation.reason.not_using': 'Je ne l\'utilise pas assez',
+    'cancellation.reason.missing_features': 'Il manque des fonctionnalités dont j\'ai besoin',
+    'cancellation.reason.switching': 'Je passe à un autre produit',
+    'cancellation.reason.technical_issues': 'J\'ai rencontré des problèmes techniques',
+    'cancellation.reason.other': 'Une autre raison',
+    'cancellation.comment': 'Autre chose à nous dire ? (facultatif)',
+    'cancellation.continue': 'Continuer',
+    'cancellation.keep': 'Garder mon abonnement',
+    'cancellation.offerTitle': 'Avant de partir',
+    'cancellation.confirmTitle': 'Confirmer la résiliation',
+    'cancellation.downgrade': 'Passer à {plan}',
+    'cancellation.downgradeText': 'Gardez votre formule actuelle jusqu\'au {date}, puis payez {price}.',
+    'cancellation.downgradeAction': 'Changer',
+    'cancellation.pause': 'Mettre en pause {duration}',
+    'cancellation.pauseText': 'Gardez votre accès jusqu\'au {date}, puis rien à payer jusqu\'au {resumeDate}.',
+    'cancellation.pauseAction': 'Mettre en pause',
+    'cancellation.accessUntil': 'Si vous résiliez, votre abonnement ne sera pas renouvelé et vous gardez l\'accès à {plan} jusqu\'au {date}.',
+    'cancellation.confirm': 'Résilier l\'abonnement',
+
+    'details.show': 'Afficher les détails techniques...',
+    'details.purchaseId': 'ID d\'achat :',
+    'details.transactionId': 'ID de transaction :',
+    'details.productId': 'ID de produit :',
+    'details.offerId': 'ID d\'offre :',
+    'details.rawJson': 'Afficher le JSON brut...',
+
+    'usage.title': 'Requêtes ce mois-ci',
+    'usage.credits': {
+        one: '+ {count} requête supplémentaire issue des packs',
+        other: '+ {count} requêtes supplémentaires issues des packs'
+    },
+    'usage.low': {
+        one: 'Il ne vous reste presque plus de requêtes : {count} restante.',
+        other: 'Il ne vous reste presque plus de requêtes : {count} restantes.'
+    },
+    'usage.upgrade': 'Passer à une formule supérieure',
+    'usage.topUp': 'Acheter un pack de requêtes',
+
+    'history.title': 'Historique des achats',
+    'history.filterType': 'Filtrer par type',
+    'history.filterStatus': 'Filtrer par statut',
+    'history.allTypes': 'Tous les types',
+    'history.allStatuses': 'Tous les statuts',
+    'history.product': 'Produit',
+    'history.type': 'Type',
+    'history.status': 'Statut',
+    'history.purchaseDate': 'Acheté le',
+    'history.expirationDate': 'Renouvellement / expiration',
+    'history.amount': 'Montant',
+    'history.receipts': 'Reçus',
+    'receipts.download': 'Télécharger le reçu',
+    'receipts.pdf': 'PDF',
+    'receipts.earlier': { one: '1 reçu précédent', other: '{count} reçus précédents' },
+    'receipts.exportCsv': 'Exporter en CSV',
+    'history.empty': 'Aucun achat ne correspond à ces filtres.',
+    'type.subscription': 'Abonnement',
+    'type.oneTime': 'Achat unique',
+
+    'pricing.subscriptionsTitle': 'Abonnements',
+    'pricing.oneTimeTitle': 'Achats uniques',
+    'pricing.manage': 'Gérer l\'abonnement',
+    'pricing.subscribe': 'S\'abonner {billing}',
+    'pricing.startTrial': 'Essayer gratuitement pendant {duration}',
+    'pricing.purchase': 'Acheter',
+    'pricing.free': 'Gratuit',
+    'pricing.owned': 'Déjà acheté',
+    'promotion.label': 'Code promo',
+    'promotion.apply': 'Appliquer',
+    'promotion.remove': 'Retirer',
+    'promotion.applied': '{code} appliqué : {discount}',
+    'promotion.percentOff': '{percent} % de réduction',
+    'promotion.amountOff': '{amount} de réduction',
+    'promotion.once': '{price} le premier {period}',
+    'promotion.onceAfterTrial': '{price} le premier {period} après l\'essai',
+    'promotion.repeating': '{price}/{period} pendant {duration}',
+    'phase.freeTrial': 'Gratuit pendant {duration}',
+    'phase.intro': '{price}/{period} pendant {duration}',
+    'phase.upFront': '{price} pour {duration}',
+    'phase.then': 'puis',
+    'quota.perMonth': { one: '{count} requête/mois', other: '{count} requêtes/mois' },
+    'quota.pack': { one: '{count} requête', other: '{count} requêtes' },
+
+    'comparison.billingPeriod': 'Période de facturation',
+    'comparison.price': 'Prix',
+    'comparison.recommended': 'Recommandé',
+    'comparison.save': 'Économisez {percent} %',
+    'comparison.saveUpTo': 'Jusqu\'à {percent} % d\'économie',
+    'feature.yes': 'Inclus',
+    'feature.no': 'Non inclus',
+    'feature.quota': 'Requêtes API',
+    'feature.quota.tooltip': 'Requêtes incluses chaque mois. Des packs de requêtes peuvent être achetés en plus.',
+    'feature.supportLevel': 'Support',
+    'feature.supportLevel.tooltip': 'Comment joindre notre équipe en cas de besoin.',
+    'feature.custom_domains': 'Domaines personnalisés',
+
+    'support.0': 'Support de base',
+    'support.1': 'Support par e-mail',
+    'support.2': 'Support personnalisé',
+    'support.default': 'Support',
+
+    'period.day': { one: 'jour', other: '{count} jours' },
+    'period.week': { one: 'semaine', other: '{count} semaines' },
+    'period.month': { one: 'mois', other: '{count} mois' },
+    'period.year': { one: 'an', other: '{count} ans' },
+    'duration.day': { one: '{count} jour', other: '{count} jours' },
+    'duration.week': { one: '{count} semaine', other: '{count} semaines' },
+    'duration.month': { one: '{count} mois', other: '{count} mois' },
+    'duration.year': { one: '{count} an', other: '{count} ans' },
+    'billing.day': { one: 'Quotidienne', other: 'Tous les {count} jours' },
+    'billing.week': { one: 'Hebdomadaire', other: 'Toutes les {count} semaines' },
+    'billing.month': { one: 'Mensuelle', other: 'Tous les {count} mois' },
+    'billing.year': { one: 'Annuelle', other: 'Tous les {count} ans' },
+    'billingAdverb.day': { one: 'à la journée', other: 'tous les {count} jours' },
+    'billingAdverb.week': { one: 'à la semaine', other: 'toutes les {count} semaines' },
+    'billingAdverb.month': { one: 'au mois', other: 'tous les {count} mois' },
+    'billingAdverb.year': { one: 'à l\'année', other: 'tous les {count} ans' }
+};
@@ -0,0 +1,148 @@
+// Preview of a plan change: what it costs and when it takes effect.
+// Amounts are estimates following Stripe's default proration rules, Stripe
+// computes the actual invoice when the change is made.
+
+function roundToCents(priceMicros) {
+    return Math.round(priceMicros / 10000) * 10000;
+}
+
+/**
+ * Estimates switching `purchase` (currently on `currentOffer`) to `offer`.
+ * Running subscriptions can switch `now`, prorated, or at `renewal`, at the end
+ * of the paid period. Cancelled and expired ones are renewed now at full price.
+ */
+function estimatePlanChange(purchase, currentOffer, offer, now = new Date()) {
+    const phase = offer.pricingPhases.slice(-1)[0];
+    const status = getPurchaseStatus(purchase);
+    if (status === 'cancelled' || status === 'expired') {
+        return {
+            renew: true,
+            options: [{
+                effectiveAt: 'now',
+                amountDue: phase.priceMicros,
+                credit: 0,
+                nextRenewalDate: addPeriod(now, phase.billingPeriod)
+            }]
+        };
+    }
+
+    const start = new Date(purchase.lastRenewalDate || purchase.purchaseDate);
+    const end = new Date(purchase.expirationDate);
+    const unusedRatio = Math.min(Math.max((end - now) / (end - start), 0), 1) || 0;
+    const currentMonths = getPeriodInMonths(currentOffer?.pricingPhases.slice(-1)[0].billingPeriod);
+    const newMonths = getPeriodInMonths(phase.billingPeriod);
+    const samePeriod = currentMonths === newMonths;
+
+    // With the same billing period, the price difference is charged for the rest of
+    // the period and the renewal date is kept. Otherwise a new period starts today,
+    // minus a credit for the unused time of the current one.
+    const balance = samePeriod
+        ? (phase.priceMicros - purchase.amountMicros) * unusedRatio
+        : phase.priceMicros - purchase.amountMicros * unusedRatio;
+
+    return {
+        renew: false,
+        upgrade: phase.priceMicros / newMonths > purchase.amountMicros / currentMonths,
+        options: [{
+            effectiveAt: 'now',
+            amountDue: roundToCents(Math.max(balance, 0)),
+            credit: roundToCents(Math.max(-balance, 0)),
+            startsNewPeriod: !samePeriod,
+            nextRenewalDate: samePeriod ? end : addPeriod(now, phase.billingPeriod)
+        }, {
+            effectiveAt: 'renewal',
+            amountDue: 0,
+            credit: 0,
+            nextRenewalDate: end
+        }]
+    };
+}
+
+function renderPlanChangeOption(option, phase, checked) {
+    const price = formatPrice(phase.priceMicros, phase.currency);
+    const date = formatDate(option.nextRenewalDate);
+    let summary;
+    if (option.effectiveAt === 'renewal') {
+        summary = t('planChange.atRenewalSummary', { date, price });
+    } else if (option.startsNewPeriod && option.amountDue > 0) {
+        summary = t('planChange.newPeriodSummary', {
+            amount: formatPrice(option.amountDue, phase.currency),
+            period: formatPeriod(phase.billingPeriod),
+            date,
+            price
+        });
+    } else if (option.credit > 0) {
+        summary = t('planChange.creditSummary', { amount: formatPrice(option.credit, phase.currency), date, price });
+    } else {
+        summary = t('planChange.chargeSummary', { amount: formatPrice(option.amountDue, phase.currency), date, price });
+    }
+    return html`
+        <label class="form-selectgroup-item flex-fill">
+            <input type="radio" name="effectiveAt" value="${option.effectiveAt}" class="form-selectgroup-input"
+                   ${checked ? 'checked' : ''}>
+            <div class="form-selectgroup-label d-flex align-items-start p-3 text-start">
+                <div>
+                    <div class="fw-bold">
+                        ${option.effectiveAt === 'now' ? t('planChange.now') : t('planChange.atRenewal', { date })}
+                    </div>
+                    <div class="text-muted">${summary}</div>
+                </div>
+            </div>
+        </label>
+    `;
+}
+
+/**
+ * Confirmation dialog for switching `purchase` to `offer` of `product`,
+ * submitted with the `confirm-plan-change` action.
+ */
+function renderPlanChangeDialog({ purchase, currentProduct, currentOffer, product, offer, estimate }) {
+    const phase = offer.pricingPhases.slice(-1)[0];
+    const currentPeriod = currentOffer?.pricingPhases.slice(-1)[0].billingPeriod;
+    // Upgrades default to now, downgrades to the end of the period already paid
+    const defaultOption = estimate.renew || estimate.upgrade ? 'now' : 'renewal';
+
+    return html`
+        <dialog class="modal-content border-0 shadow p-0" style="max-width: 36rem">
+            <form data-action="confirm-plan-change">
+                <input type="hidden" name="offerId" value="${offer.id}">
+                <div class="modal-header">
+                    <h5 class="modal-title">${estimate.renew ? t('planChange.renewTitle') : t('planChange.title')}</h5>
+                </div>
+                <div class="modal-body">
+                    <table class="table table-sm">
+                        ${!estimate.renew ? html`
+                        <tr>
+                            <td class="text-muted">${t('planChange.from')}</td>
+                            <td>
+                                ${currentProduct?.title || purchase.productId} —
+                                ${formatPrice(purchase.amountMicros, purchase.currency)}${currentPeriod ? html`/${formatPeriod(currentPeriod)}` : ''}
+                            </td>
+                        </tr>
+                        ` : ''}
+                        <tr>
+                            <td class="text-muted">${estimate.renew ? t('planChange.plan') : t('planChange.to')}</td>
+                            <td>${product.title} — ${formatPrice(phase.priceMicros, phase.currency)}/${formatPeriod(phase.billingPeriod)}</td>
+                        </tr>
+                    </table>
+                    ${estimate.renew ? html`
+                        <input type="hidden" name="effectiveAt" value="now">
+                        <p>${t('planChange.renewSummary', {
+                            amount: formatPrice(estimate.options[0].amountDue, phase.currency),
+                            date: formatDate(estimate.options[0].nextRenewalDate)
+                        })}</p>
+                    ` : html`
+                        <div class="form-selectgroup form-selectgroup-boxes d-flex flex-column">
+                            ${estimate.options.map(option => renderPlanChangeOption(option, phase, option.effectiveAt === defaultOption))}
+                        </div>
+                    `}
+                    <p class="text-muted small mt-3 mb-0">${t('planChange.estimateNote')}</p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-link" data-action="close-dialog">${t('common.cancel')}</button>
+                    <button class="btn btn-primary">${estimate.renew ? t('planChange.confirmRenew') : t('planChange.confirm')}</button>
+                </div>
+            </form>
+        </dialog>
+    `;
+}
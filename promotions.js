@@ -0,0 +1,105 @@
+// Promotion codes: typed in the pricing table or given in the URL as
+// ?promo=CODE, checked by server.js (see server/promotions.js) and passed on
+// to Checkout, which applies the discount.
+
+const PROMOTION_URL_PARAMETER = 'promo';
+
+/** Applied promotion, `{ promotion, offers }` as returned by server.js (`null` if none) */
+let currentPromotion = null;
+
+/** Code that was refused and why, shown under the field (`null` if none) */
+let promotionError = null;
+
+// Checks `code` with server.js, then either applies it or keeps the reason it was refused
+async function applyPromotionCode(code) {
+    currentPromotion = null;
+    promotionError = null;
+    if (!code.trim()) return;
+    try {
+        const { promotion, offers } = await apiRequest('GET', `/api/promotions/${encodeURIComponent(code.trim())}`);
+        currentPromotion = { promotion, offers };
+    } catch (error) {
+        promotionError = { code, message: getErrorMessage(error) };
+    }
+}
+
+function removePromotion() {
+    currentPromotion = null;
+    promotionError = null;
+}
+
+// The ?promo= parameter of the page, `null` if there is none
+function getUrlPromotionCode() {
+    return new URLSearchParams(window.location.search).get(PROMOTION_URL_PARAMETER);
+}
+
+/** Code to pass to Checkout for `offerId`, if the applied promotion covers it */
+function getPromotionCode(offerId) {
+    return currentPromotion?.offers[offerId] ? currentPromotion.promotion.code : undefined;
+}
+
+// Codes refused at checkout, e.g. because they expired since they were applied
+function isPromotionError(error) {
+    return ['PromotionNotFound', 'PromotionExpired', 'PromotionNotApplicable'].includes(error?.code);
+}
+
+function rejectPromotion(error) {
+    promotionError = { code: currentPromotion?.promotion.code || '', message: getErrorMessage(error) };
+    currentPromotion = null;
+}
+
+// "20% off", "$5.00 off"
+function describeDiscount(promotion) {
+    return promotion.percentOff
+        ? t('promotion.percentOff', { percent: promotion.percentOff })
+        : t('promotion.amountOff', { amount: formatPrice(promotion.amountOffMicros, promotion.currency) });
+}
+
+// "$4.00 for the first month", "$10.00/month for 3 months": the first price paid for `offer` with the
+// applied promotion, as server.js computed it (after the free trial, during the introductory price)
+function describePromotionPrice(offer) {
+    const { promotion, offers } = currentPromotion;
+    const { priceMicros, currency, billingPeriod, afterTrial } = offers[offer.id];
+    const price = formatPrice(priceMicros, currency);
+    if (!billingPeriod) return price;
+    const period = formatPeriod(billingPeriod);
+    if (promotion.duration === 'forever') return `${price}/${period}`;
+    if (promotion.duration === 'repeating') {
+        return t('promotion.repeating', { price, period, duration: formatDuration('P1M', promotion.durationInMonths) });
+    }
+    return t(afterTrial ? 'promotion.onceAfterTrial' : 'promotion.once', { price, period });
+}
+
+function renderPromotionPrice(offer) {
+    if (!currentPromotion?.offers[offer.id]) return '';
+    return html`
+        <div class="mb-2">
+            <span class="badge bg-green-lt">${currentPromotion.promotion.code}: ${describePromotionPrice(offer)}</span>
+        </div>
+    `;
+}
+
+// Field of the pricing table, with the error of a refused code right below it
+function renderPromotionField() {
+    const code = currentPromotion?.promotion.code || promotionError?.code || '';
+    return html`
+        <form class="w-100" style="max-width: 24rem" data-action="apply-promotion" novalidate>
+            <div class="input-group">
+                <input class="form-control ${promotionError ? 'is-invalid' : ''}" name="code" value="${code}"
+                       placeholder="${t('promotion.label')}" aria-label="${t('promotion.label')}" autocomplete="off"
+                       ${currentPromotion ? 'readonly' : ''}>
+                ${currentPromotion ? html`
+                    <button class="btn" type="button" data-action="remove-promotion">${t('promotion.remove')}</button>
+                ` : html`
+                    <button class="btn">${t('promotion.apply')}</button>
+                `}
+            </div>
+            ${promotionError ? html`<div class="invalid-feedback d-block">${promotionError.message}</div>` : ''}
+            ${currentPromotion ? html`
+                <div class="form-hint text-success">
+                    ${t('promotion.applied', { code: currentPromotion.promotion.code, discount: describeDiscount(currentPromotion.promotion) })}
+                </div>
+            ` : ''}
+        </form>
+    `;
+}
@@ -0,0 +1,59 @@
+// Receipts of every payment, generated by server.js (see server/receipts.js):
+// a printable page and a PDF per purchase and renewal, and the whole billing
+// history as a CSV file.
+
+const RECEIPTS_URL = '/api/receipts';
+
+/** Receipts of the signed-in user, most recent first, as returned by server.js */
+let currentReceipts = [];
+
+async function loadReceipts() {
+    try {
+        const { receipts } = await apiRequest('GET', RECEIPTS_URL);
+        currentReceipts = receipts;
+    } catch (error) {
+        reportError(error, 'receipts');
+        currentReceipts = [];
+    }
+    return currentReceipts;
+}
+
+// Printable receipt of `transactionId`, or its PDF when `format` is `pdf`
+function getReceiptUrl(transactionId, format) {
+    return `${RECEIPTS_URL}/${encodeURIComponent(transactionId)}${format === 'pdf' ? '.pdf' : ''}`;
+}
+
+// Most recent first: the last payment, then the earlier renewals
+function getPurchaseReceipts(purchase) {
+    return currentReceipts.filter(receipt => receipt.purchaseId === purchase.purchaseId);
+}
+
+// "Download receipt" and "PDF" links of a receipt
+function renderReceiptLinks(receipt) {
+    return html`
+        <a href="${getReceiptUrl(receipt.transactionId)}" target="_blank" rel="noopener">${t('receipts.download')}</a>
+        <a class="ms-2" href="${getReceiptUrl(receipt.transactionId, 'pdf')}" download>${t('receipts.pdf')}</a>
+    `;
+}
+
+// Receipt of the last payment of `purchase`, then the earlier ones (renewals) in a collapsed list
+function renderPurchaseReceipts(purchase) {
+    const [last, ...earlier] = getPurchaseReceipts(purchase);
+    if (!last) return '—';
+    return html`
+        ${renderReceiptLinks(last)}
+        ${earlier.length > 0 ? html`
+            <details class="small mt-1">
+                <summary class="text-muted">${t('receipts.earlier', { count: earlier.length })}</summary>
+                ${earlier.map(receipt => html`
+                    <div>${formatDate(receipt.date)} — ${renderReceiptLinks(receipt)}</div>
+                `)}
+            </details>
+        ` : ''}
+    `;
+}
+
+function renderCsvExportLink() {
+    if (currentReceipts.length === 0) return '';
+    return html`<a class="btn btn-sm" href="${RECEIPTS_URL}.csv" download>${t('receipts.exportCsv')}</a>`;
+}
@@ -0,0 +1,98 @@
+// Minimal rendering layer: escaped HTML templates and delegated event handlers.
+
+/** Markup that is safe to insert as is, as produced by html`` */
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toHtml(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template returning SafeHtml. Interpolated values are escaped, except
+ * nested html`` results. Arrays are concatenated, null, undefined and false
+ * render nothing.
+ */
+function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((result, string, i) => result + toHtml(values[i - 1]) + string));
+}
+
+function render(container, content) {
+    if (!container) return;
+    container.innerHTML = toHtml(content);
+}
+
+const actionHandlers = {};
+
+// Actions whose promise hasn't settled yet, see waitForActions()
+const runningActions = new Set();
+
+/**
+ * Handlers for elements with a `data-action` attribute, called with the element
+ * and the event: clicks on buttons and links, changes of selects, form submits.
+ */
+function registerActions(handlers) {
+    Object.assign(actionHandlers, handlers);
+}
+
+function dispatchAction(event, element) {
+    const handler = actionHandlers[element.dataset.action];
+    if (!handler) return;
+    event.preventDefault();
+    const result = handler(element, event);
+    // Controls stay disabled while their action runs, so requests aren't sent twice
+    if (result instanceof Promise) {
+        setBusy(element, true);
+        runningActions.add(result);
+        result.finally(() => {
+            setBusy(element, false);
+            runningActions.delete(result);
+        });
+    }
+}
+
+/** Resolves once the actions running now are over, whether they succeeded or not */
+function waitForActions() {
+    return Promise.allSettled([...runningActions]);
+}
+
+function setBusy(element, busy) {
+    const controls = element.matches('form') ? element.querySelectorAll('button, input, select') : [element];
+    for (const control of controls) {
+        control.disabled = busy;
+        if (control.matches('button')) control.classList.toggle('btn-loading', busy);
+    }
+}
+
+document.addEventListener('click', event => {
+    const element = event.target.closest('[data-action]');
+    // Forms and selects are handled by their own events below
+    if (element && !element.matches('form, select')) dispatchAction(event, element);
+});
+
+document.addEventListener('change', event => {
+    if (event.target.matches('select[data-action]')) dispatchAction(event, event.target);
+});
+
+document.addEventListener('submit', event => {
+    if (event.target.matches('form[data-action]')) dispatchAction(event, event.target);
+});
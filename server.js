@@ -1,13 +1,95 @@
+const path = require('path');
 const express = require('express');
-const stripe = require('stripe')('sk_test_your_secret_key');
-const cors = require('cors');
+const mockIaptic = require('./server/mock');
+const catalog = require('./server/catalog');
+const { iapticClient } = require('./server/iaptic');
+const { iapticProxyRouter } = require('./server/iaptic-proxy');
+const { accountsRouter, currentUser, ensureUser } = require('./server/accounts');
+const { entitlementsRouter, clearEntitlements } = require('./server/entitlements');
+const { meteringRouter, clearUsage } = require('./server/metering');
+const { webhookRouter, handleNotification } = require('./server/webhook');
+const { analyticsRouter } = require('./server/analytics');
+const { promotions, promotionsRouter } = require('./server/promotions');
+const { cancellationsRouter } = require('./server/cancellations');
+const { teamsRouter } = require('./server/teams');
+const { receiptsRouter } = require('./server/receipts');
+const { liveUpdatesRouter } = require('./server/live-updates');
+const { securityHeaders, rateLimit, csrfProtection } = require('./server/security');
 
 const app = express();
-app.use(cors());
-app.use(express.static('.'));
+app.use(securityHeaders);
 app.use(express.json());
+app.use(currentUser);
+
+// Offline mode: `npm run mock` answers iaptic calls from fixtures/ instead of validator.iaptic.com
+const useMock = process.argv.includes('--mock') || process.env.IAPTIC_MOCK === '1';
+let iaptic = iapticClient();
+let productCatalog = catalog({ getProducts: iaptic.getProducts });
+let promotionCodes = promotions({ catalog: productCatalog });
+// Seller details of receipts, from data/seller.json unless offline
+let getSeller;
+if (useMock) {
+  const scenarioArg = process.argv.find(arg => arg.startsWith('--scenario='));
+  const scenario = scenarioArg ? scenarioArg.split('=')[1] : process.env.MOCK_SCENARIO;
+  // Entitlements and usage come from the scenario only, not from earlier runs
+  const onReset = () => {
+    clearEntitlements();
+    clearUsage();
+  };
+  const mock = mockIaptic({ scenario, basePath: '/mock', notify: handleNotification, onReset });
+
+  app.use('/mock', mock);
+  iaptic = mock.client;
+  productCatalog = catalog({ getProducts: iaptic.getProducts, cacheTtl: 0 });
+  promotionCodes = promotions({ catalog: productCatalog, getPromotions: mock.promotions });
+  getSeller = mock.seller;
+
+  // Fixture purchases are keyed by this user, the second account is there to be invited to teams
+  ensureUser('user_dev', 'user_dev');
+  ensureUser('teammate', 'teammate');
+}
+
+// The page only gets what it needs to display prices: the iaptic API key stays on the server
+app.get('/credentials.js', (req, res) => {
+  const credentials = useMock
+    ? { type: 'mock', appName: 'iaptic-mock' }
+    : { type: 'stripe', appName: process.env.IAPTIC_APP_NAME, stripePublicKey: process.env.STRIPE_PUBLIC_KEY };
+  res.type('js').send(`window.IAPTIC_STRIPE_CREDENTIALS = ${JSON.stringify(credentials, null, 2)};\n`);
+});
+
+app.use('/api', rateLimit({ limit: 120 }), csrfProtection);
+// Slows down password guessing and checkout spam
+app.post(['/api/session', '/api/users', '/api/iaptic/checkout'], rateLimit({ limit: 10 }));
+app.get('/api/promotions/:code', rateLimit({ limit: 10 }));
+app.use('/api', accountsRouter());
+app.use('/api', entitlementsRouter());
+app.use('/api', meteringRouter({ catalog: productCatalog }));
+app.use('/api', promotionsRouter({ promotions: promotionCodes }));
+app.use('/api', cancellationsRouter());
+app.use('/api', teamsRouter({ iaptic, catalog: productCatalog }));
+app.use('/api', receiptsRouter({ catalog: productCatalog, getSeller }));
+app.use('/api', liveUpdatesRouter());
+app.use('/api/iaptic', iapticProxyRouter({ iaptic, promotions: promotionCodes, catalog: productCatalog }));
+app.use('/webhooks', webhookRouter());
+app.use('/analytics', rateLimit({ limit: 120 }), analyticsRouter({ catalog: productCatalog, open: useMock }));
+
+// Only the page and what it loads are served as static files: server code,
+// data, fixtures and the rest of the project stay private
+const PUBLIC_FILES = [
+  'index.html', 'iaptic-proxy.js', 'i18n.js', 'render.js', 'errors.js', 'analytics.js', 'features.js',
+  'components.js', 'store.js', 'checkout.js', 'plan-change.js', 'promotions.js', 'cancellation.js',
+  'billing.js', 'teams.js', 'receipts.js', 'live-updates.js', 'index.js', 'elements.js',
+];
+const PUBLIC_DIRECTORIES = ['locales', 'images', 'node_modules/@tabler/core/dist'];
+
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get(PUBLIC_FILES.map(file => `/${file}`), (req, res) => res.sendFile(path.join(__dirname, req.path)));
+for (const directory of PUBLIC_DIRECTORIES) {
+  app.use(`/${directory}`, express.static(path.join(__dirname, directory)));
+}
 
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-}); 
\ No newline at end of file
+  if (useMock) console.log(`Mock iaptic enabled, pick a scenario at http://localhost:${PORT}/mock/`);
+});
@@ -0,0 +1,177 @@
+const express = require('express');
+const crypto = require('crypto');
+const jsonStore = require('./json-store');
+const { sendError, safeEqual, parseCookies } = require('./http');
+
+const SESSION_COOKIE = 'sid';
+const SESSION_MAX_AGE = 30 * 24 * 3600 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9_.@-]{3,64}$/;
+
+const users = jsonStore('users', {});
+const sessions = jsonStore('sessions', {});
+
+// Sign-up, sign-in and sign-out. The username is what the page sends to iaptic
+// as `applicationUsername`, so it must never change once created.
+function accountsRouter() {
+  const router = express.Router();
+
+  router.get('/session', (req, res) => {
+    res.json({ ok: true, user: req.user ? publicUser(req.user) : null });
+  });
+
+  router.post('/users', (req, res) => {
+    const username = normalizeUsername(req.body.username);
+    const { password } = req.body;
+    if (!USERNAME_PATTERN.test(username)) {
+      return sendError(res, 400, 'InvalidUsername', 'Usernames are 3 to 64 letters, digits or _.@- characters');
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      return sendError(res, 400, 'InvalidPassword', 'Passwords must be at least 8 characters long');
+    }
+    if (users.read()[username]) {
+      return sendError(res, 409, 'UsernameTaken', 'This username is already taken');
+    }
+    const user = createUser(username, password);
+    startSession(res, user);
+    res.status(201).json({ ok: true, user: publicUser(user) });
+  });
+
+  router.post('/session', (req, res) => {
+    const user = users.read()[normalizeUsername(req.body.username)];
+    if (!user || !verifyPassword(user, req.body.password)) {
+      return sendError(res, 401, 'InvalidCredentials', 'Wrong username or password');
+    }
+    startSession(res, user);
+    res.json({ ok: true, user: publicUser(user) });
+  });
+
+  // PUT /api/preferences `{ currency, language }`: display settings that follow the user across devices
+  router.put('/preferences', requireUser, (req, res) => {
+    const preferences = {};
+    if (req.body.currency !== undefined) {
+      if (!/^[A-Z]{3}$/.test(req.body.currency)) {
+        return sendError(res, 400, 'InvalidCurrency', 'currency must be an ISO 4217 code');
+      }
+      preferences.currency = req.body.currency;
+    }
+    if (req.body.language !== undefined) {
+      if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(req.body.language)) {
+        return sendError(res, 400, 'InvalidLanguage', 'language must be a language tag such as "en" or "fr"');
+      }
+      preferences.language = req.body.language;
+    }
+    const user = users.update(data => {
+      const user = data[req.user.username];
+      user.preferences = { ...user.preferences, ...preferences };
+      return user;
+    });
+    res.json({ ok: true, user: publicUser(user) });
+  });
+
+  router.delete('/session', (req, res) => {
+    if (req.sessionId) sessions.update(data => { delete data[req.sessionId]; });
+    res.clearCookie(SESSION_COOKIE);
+    res.json({ ok: true, user: null });
+  });
+
+  return router;
+}
+
+// Middleware: resolves the session cookie to `req.user` (undefined when anonymous)
+function currentUser(req, res, next) {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = sessionId && sessions.read()[sessionId];
+  if (session && session.expiresAt > Date.now()) {
+    req.sessionId = sessionId;
+    req.user = users.read()[session.username];
+  }
+  next();
+}
+
+// Middleware for routes that only make sense for a signed-in user
+function requireUser(req, res, next) {
+  if (!req.user) return sendError(res, 401, 'NotSignedIn', 'Sign in first');
+  next();
+}
+
+// Whether the request carries `Authorization: Bearer <BACKEND_API_KEY>`
+function isBackendRequest(req, backendApiKey = process.env.BACKEND_API_KEY) {
+  return Boolean(backendApiKey) && safeEqual(req.get('authorization') || '', `Bearer ${backendApiKey}`);
+}
+
+// Middleware for routes used both by the page and by other backends.
+// Sets `req.applicationUsername` to the signed-in user, or to the
+// `applicationUsername` parameter when authenticated with
+// `Authorization: Bearer <BACKEND_API_KEY>`.
+function requireUserOrBackend({ backendApiKey = process.env.BACKEND_API_KEY } = {}) {
+  return (req, res, next) => {
+    const requested = req.query.applicationUsername || req.body?.applicationUsername;
+    if (requested) {
+      if (!isBackendRequest(req, backendApiKey)) {
+        return sendError(res, 401, 'InvalidApiKey', 'A valid backend API key is required');
+      }
+      req.applicationUsername = String(requested);
+      return next();
+    }
+    if (!req.user) return sendError(res, 401, 'NotSignedIn', 'Sign in first');
+    req.applicationUsername = req.user.username;
+    next();
+  };
+}
+
+// The account of `username`, `undefined` if there's none
+function findUser(username) {
+  return users.read()[normalizeUsername(username)];
+}
+
+// Creates the account if it doesn't exist yet, used to seed the mock's demo user
+function ensureUser(username, password) {
+  return users.read()[username] || createUser(username, password);
+}
+
+function createUser(username, password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const user = {
+    username,
+    salt,
+    passwordHash: hashPassword(password, salt),
+    createdAt: new Date().toISOString(),
+  };
+  users.update(data => { data[username] = user; });
+  return user;
+}
+
+function startSession(res, user) {
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  sessions.update(data => {
+    // Drop expired sessions while we are at it
+    for (const [id, session] of Object.entries(data)) {
+      if (session.expiresAt <= Date.now()) delete data[id];
+    }
+    data[sessionId] = { username: user.username, expiresAt: Date.now() + SESSION_MAX_AGE };
+  });
+  res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'lax', maxAge: SESSION_MAX_AGE });
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function verifyPassword(user, password) {
+  if (typeof password !== 'string') return false;
+  const hash = Buffer.from(hashPassword(password, user.salt), 'hex');
+  return crypto.timingSafeEqual(hash, Buffer.from(user.passwordHash, 'hex'));
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function publicUser(user) {
+  return { username: user.username, preferences: user.preferences || {} };
+}
+
+module.exports = {
+  accountsRouter, currentUser, requireUser, requireUserOrBackend, isBackendRequest, ensureUser, findUser,
+  normalizeUsername,
+};
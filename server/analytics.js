@@ -0,0 +1,232 @@
+const express = require('express');
+const { jsonLog } = require('./json-store');
+const { sendError, safeEqual, escapeHtml, htmlPage } = require('./http');
+const { getCancellationReasons, getCancellationComments, CANCELLATION_REASONS } = require('./cancellations');
+
+// Funnel events sent by the page (see analytics.js), kept in data/events.jsonl
+const events = jsonLog('events');
+
+const EVENT_TYPES = [
+  'pricing_viewed', 'offer_clicked', 'checkout_succeeded', 'checkout_failed',
+  'checkout_cancelled', 'plan_changed', 'portal_opened',
+];
+const MAX_EVENT_SIZE = 4096;
+
+const isOptionalString = value => value === undefined || value === null || typeof value === 'string';
+
+// Anyone can send events, the report reads the fields it counts from: they must have the types it expects
+function isValidEvent(event) {
+  return isOptionalString(event.productId) && isOptionalString(event.visitorId) &&
+    (event.productIds === undefined || (Array.isArray(event.productIds) && event.productIds.every(id => typeof id === 'string')));
+}
+
+// POST /events collects events, GET / is the conversion report, followed by
+// the answers to the cancellation survey (see server/cancellations.js).
+//
+// Events come from navigator.sendBeacon(), which can't set headers: this router
+// is mounted outside of /api and its CSRF protection. The report shows sales
+// figures, so outside of the offline mode it requires BACKEND_API_KEY as the
+// password of HTTP basic authentication (any username).
+function analyticsRouter({ catalog, reportKey = process.env.BACKEND_API_KEY, open = false }) {
+  const router = express.Router();
+
+  router.post('/events', express.text({ type: '*/*', limit: MAX_EVENT_SIZE }), (req, res) => {
+    // Beacons are sent as text/plain, application/json bodies were already parsed by server.js
+    let event = req.body;
+    if (typeof event === 'string') {
+      try {
+        event = JSON.parse(event);
+      } catch (error) {
+        return sendError(res, 400, 'InvalidEvent', 'Events must be JSON');
+      }
+    } else if (JSON.stringify(event).length > MAX_EVENT_SIZE) {
+      return sendError(res, 413, 'EventTooLarge', `Events are limited to ${MAX_EVENT_SIZE} bytes`);
+    }
+    if (!EVENT_TYPES.includes(event?.type)) {
+      return sendError(res, 400, 'InvalidEvent', `type must be one of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (!isValidEvent(event)) {
+      return sendError(res, 400, 'InvalidEvent', 'productIds must be a list of strings, productId and visitorId strings');
+    }
+    events.append({
+      ...event,
+      // The session tells who the visitor is, the page can't pretend to be someone else
+      username: req.user?.username || null,
+      receivedAt: new Date().toISOString(),
+    });
+    res.json({ ok: true });
+  });
+
+  router.get('/', requireReportAccess, async (req, res) => {
+    try {
+      let products = [];
+      try {
+        products = await catalog.products();
+      } catch (error) {
+        // Product ids are shown instead of titles
+      }
+      res.send(htmlPage('Conversion funnel', `
+        ${renderReport(getConversions(events.read()), products)}
+        ${renderCancellations(getCancellationReasons(), getCancellationComments())}
+      `, { container: 'container-xl' }));
+    } catch (error) {
+      console.error('analytics report failed:', error);
+      sendError(res, 500, 'ReportUnavailable', error.message);
+    }
+  });
+
+  function requireReportAccess(req, res, next) {
+    if (open) return next();
+    if (!reportKey) return sendError(res, 503, 'ReportNotConfigured', 'Set BACKEND_API_KEY to access the report');
+    const [scheme, credentials] = (req.get('authorization') || '').split(' ');
+    const password = scheme === 'Basic' ? Buffer.from(credentials || '', 'base64').toString().split(':').slice(1).join(':') : '';
+    if (!safeEqual(password, reportKey)) {
+      res.set('WWW-Authenticate', 'Basic realm="Analytics"');
+      return sendError(res, 401, 'InvalidApiKey', 'A valid backend API key is required');
+    }
+    next();
+  }
+
+  return router;
+}
+
+// Visitors reaching each step of the funnel, per product. A visitor counts once
+// per step, however many times they saw the prices or clicked. Records that
+// aren't valid events, e.g. from before events were checked, are skipped.
+function getConversions(list) {
+  const products = new Map();
+  const reach = (productId, step, visitorId) => {
+    if (!products.has(productId)) {
+      products.set(productId, {
+        viewed: new Set(), clicked: new Set(), succeeded: new Set(), cancelled: new Set(), failed: new Set(),
+      });
+    }
+    products.get(productId)[step].add(visitorId);
+  };
+
+  for (const event of list) {
+    if (!event || typeof event !== 'object' || !isValidEvent(event)) continue;
+    const visitorId = event.visitorId || event.username;
+    if (event.type === 'pricing_viewed') {
+      (event.productIds || []).forEach(productId => reach(productId, 'viewed', visitorId));
+    } else if (event.productId) {
+      const step = {
+        offer_clicked: 'clicked',
+        checkout_succeeded: 'succeeded',
+        checkout_cancelled: 'cancelled',
+        checkout_failed: 'failed',
+      }[event.type];
+      if (step) reach(event.productId, step, visitorId);
+    }
+  }
+
+  return [...products].map(([productId, steps]) => ({
+    productId,
+    ...Object.fromEntries(Object.entries(steps).map(([step, visitors]) => [step, visitors.size])),
+  }));
+}
+
+function rate(count, total) {
+  return total > 0 ? `${Math.round(count / total * 100)}%` : '—';
+}
+
+function renderReport(conversions, products) {
+  const title = productId => products.find(p => p.id === productId)?.title || productId;
+  return `
+    <div class="card">
+      <div class="card-header">
+        <h2 class="card-title">Conversion funnel</h2>
+      </div>
+      <div class="table-responsive">
+        <table class="table card-table table-vcenter">
+          <thead>
+            <tr>
+              <th>Plan</th>
+              <th class="text-end">Saw the price</th>
+              <th class="text-end">Clicked</th>
+              <th class="text-end">Paid</th>
+              <th class="text-end">Cancelled</th>
+              <th class="text-end">Payment failed</th>
+              <th class="text-end">Click rate</th>
+              <th class="text-end">Checkout conversion</th>
+              <th class="text-end">Overall conversion</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${conversions.map(row => `
+              <tr>
+                <td>${escapeHtml(title(row.productId))}</td>
+                <td class="text-end">${row.viewed}</td>
+                <td class="text-end">${row.clicked}</td>
+                <td class="text-end">${row.succeeded}</td>
+                <td class="text-end">${row.cancelled}</td>
+                <td class="text-end">${row.failed}</td>
+                <td class="text-end">${rate(row.clicked, row.viewed)}</td>
+                <td class="text-end">${rate(row.succeeded, row.clicked)}</td>
+                <td class="text-end">${rate(row.succeeded, row.viewed)}</td>
+              </tr>
+            `).join('') || '<tr><td colspan="9" class="text-center text-muted">No events yet</td></tr>'}
+          </tbody>
+        </table>
+      </div>
+      <div class="card-footer text-muted">
+        Unique visitors per step. Click rate: clicked / saw the price. Checkout conversion: paid / clicked. Overall: paid / saw the price.
+      </div>
+    </div>
+  `;
+}
+
+function renderCancellations(reasons, comments) {
+  return `
+    <div class="card mt-4">
+      <div class="card-header">
+        <h2 class="card-title">Cancellation reasons</h2>
+      </div>
+      <div class="table-responsive">
+        <table class="table card-table table-vcenter">
+          <thead>
+            <tr>
+              <th>Reason</th>
+              <th class="text-end">Answers</th>
+              <th class="text-end">Cancelled</th>
+              <th class="text-end">Downgraded</th>
+              <th class="text-end">Paused</th>
+              <th class="text-end">Kept their plan</th>
+              <th class="text-end">Retention rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${reasons.map(row => `
+              <tr>
+                <td>${escapeHtml(CANCELLATION_REASONS[row.reason] || row.reason)}</td>
+                <td class="text-end">${row.answers}</td>
+                <td class="text-end">${row.cancelled}</td>
+                <td class="text-end">${row.downgraded}</td>
+                <td class="text-end">${row.paused}</td>
+                <td class="text-end">${row.kept}</td>
+                <td class="text-end">${rate(row.answers - row.cancelled, row.answers)}</td>
+              </tr>
+            `).join('') || '<tr><td colspan="7" class="text-center text-muted">No answers yet</td></tr>'}
+          </tbody>
+        </table>
+      </div>
+      ${comments.length > 0 ? `
+        <div class="list-group list-group-flush">
+          ${comments.map(survey => `
+            <div class="list-group-item">
+              <div class="text-muted small">
+                ${escapeHtml(CANCELLATION_REASONS[survey.reason] || survey.reason)} · ${escapeHtml(survey.productId)} · ${escapeHtml(survey.receivedAt)}
+              </div>
+              <div>${escapeHtml(survey.comment)}</div>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      <div class="card-footer text-muted">
+        Retention rate: subscribers who answered the survey and didn't cancel / answers.
+      </div>
+    </div>
+  `;
+}
+
+module.exports = { analyticsRouter };
@@ -0,0 +1,72 @@
+const express = require('express');
+const { jsonLog } = require('./json-store');
+const { requireUser } = require('./accounts');
+const { sendError } = require('./http');
+
+// Answers to the survey of the cancel flow (see cancellation.js), kept in
+// data/cancellations.jsonl for the product team. They are summed up in the
+// conversion report, see server/analytics.js.
+const surveys = jsonLog('cancellations');
+
+// Reasons offered by the survey, with their label in the report
+const CANCELLATION_REASONS = {
+  too_expensive: 'Too expensive',
+  not_using: 'Not using it enough',
+  missing_features: 'Missing features',
+  switching: 'Switching to another product',
+  technical_issues: 'Technical issues',
+  other: 'Other',
+};
+// What the subscriber ended up doing: cancel anyway, take a retention offer, or change their mind
+const OUTCOMES = ['cancelled', 'downgraded', 'paused', 'kept'];
+const MAX_COMMENT_LENGTH = 1000;
+
+// POST /cancellation-surveys { purchaseId, productId, reason, comment, outcome }
+function cancellationsRouter() {
+  const router = express.Router();
+
+  router.post('/cancellation-surveys', requireUser, (req, res) => {
+    const { purchaseId, productId, reason, comment = '', outcome } = req.body;
+    if (!Object.hasOwn(CANCELLATION_REASONS, reason)) {
+      return sendError(res, 400, 'InvalidReason', `reason must be one of ${Object.keys(CANCELLATION_REASONS).join(', ')}`);
+    }
+    if (!OUTCOMES.includes(outcome)) {
+      return sendError(res, 400, 'InvalidOutcome', `outcome must be one of ${OUTCOMES.join(', ')}`);
+    }
+    if (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH) {
+      return sendError(res, 400, 'InvalidComment', `comment must be a text of at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    surveys.append({
+      username: req.user.username,
+      purchaseId: String(purchaseId || ''),
+      productId: String(productId || ''),
+      reason,
+      comment: comment.trim(),
+      outcome,
+      receivedAt: new Date().toISOString(),
+    });
+    res.json({ ok: true });
+  });
+
+  return router;
+}
+
+// Number of answers per reason and what came out of them, most frequent reason first
+function getCancellationReasons(list = surveys.read()) {
+  const reasons = {};
+  for (const survey of list) {
+    const row = reasons[survey.reason] = reasons[survey.reason] || {
+      reason: survey.reason, answers: 0, ...Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0])),
+    };
+    row.answers++;
+    row[survey.outcome]++;
+  }
+  return Object.values(reasons).sort((a, b) => b.answers - a.answers);
+}
+
+// The latest comments, newest first
+function getCancellationComments(limit = 20, list = surveys.read()) {
+  return list.filter(survey => survey.comment).slice(-limit).reverse();
+}
+
+module.exports = { cancellationsRouter, getCancellationReasons, getCancellationComments, CANCELLATION_REASONS };
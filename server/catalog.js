@@ -0,0 +1,37 @@
+const { iapticClient } = require('./iaptic');
+
+const CACHE_TTL = 5 * 60 * 1000;
+
+// Product catalog as seen by the server, used to look up product metadata
+// (quotas, ...) for purchases. `getProducts` defaults to fetching the catalog
+// from iaptic, the mock passes its own fixtures instead.
+function catalog({
+  getProducts = iapticClient().getProducts,
+  cacheTtl = CACHE_TTL,
+} = {}) {
+  let cache = null;
+
+  async function products() {
+    if (!cache || cache.expiresAt <= Date.now()) {
+      cache = { products: await getProducts(), expiresAt: Date.now() + cacheTtl };
+    }
+    return cache.products;
+  }
+
+  // Accepts both product ids from the catalog and "stripe:" prefixed ones from purchases
+  async function findProduct(productId) {
+    const id = String(productId || '').replace('stripe:', '');
+    return (await products()).find(p => p.id === id);
+  }
+
+  return { products, findProduct };
+}
+
+// Plans with a `maxSeats` metadata are sold per seat, up to that many seats.
+// Other products are bought one at a time.
+function getMaxSeats(product) {
+  return Math.max(Number(product?.metadata?.maxSeats) || 1, 1);
+}
+
+module.exports = catalog;
+module.exports.getMaxSeats = getMaxSeats;
@@ -0,0 +1,205 @@
+const express = require('express');
+const jsonStore = require('./json-store');
+const { requireUserOrBackend } = require('./accounts');
+
+// Purchases reported by iaptic webhooks, per applicationUsername and purchaseId.
+// This is the server's source of truth for access, the browser is never trusted.
+// Each user also keeps the purchase as of each of its transactions (first
+// payment, renewals, plan changes), per transactionId, for receipts. It's saved
+// when the transaction is first notified and never changed afterwards, so
+// later changes (seats, cancellation, ...) don't alter a receipt.
+const store = jsonStore('entitlements', {});
+
+// Teams of seat subscriptions, per owner:
+// `{ [owner]: { members: [{ username, addedAt }], invitations: [{ username, invitedAt }] } }`.
+// Members share the subscription of the owner, see getEntitlements(). Invited
+// users become members once they accept, and are in one team at most.
+const teams = jsonStore('teams', {});
+
+// Saves the purchases of a user, skipping notifications we already processed.
+// Notifications list every purchase of the user: the ones they no longer
+// include (e.g. removed in iaptic) are dropped. Returns the number of purchases
+// that were new, changed or dropped.
+function recordPurchases(username, purchases) {
+  return store.update(data => {
+    const user = data[username] = data[username] || { purchases: {} };
+    const previous = user.purchases;
+    user.purchases = {};
+    let updated = Object.keys(previous).filter(id => !purchases.some(p => p.purchaseId === id)).length;
+    for (const purchase of purchases) {
+      const existing = previous[purchase.purchaseId];
+      if (existing && isSameOrOlder(purchase, existing)) {
+        user.purchases[purchase.purchaseId] = existing;
+        continue;
+      }
+      user.purchases[purchase.purchaseId] = purchase;
+      user.transactions = user.transactions || {};
+      if (purchase.transactionId && !user.transactions[purchase.transactionId]) {
+        user.transactions[purchase.transactionId] = purchase;
+      }
+      updated++;
+    }
+    if (updated) user.updatedAt = new Date().toISOString();
+    return updated;
+  });
+}
+
+// Duplicate delivery of the same transaction, or a late notification about an older renewal
+function isSameOrOlder(purchase, existing) {
+  if (purchase.transactionId === existing.transactionId) {
+    return JSON.stringify(purchase) === JSON.stringify(existing);
+  }
+  return purchase.lastRenewalDate && existing.lastRenewalDate
+    && new Date(purchase.lastRenewalDate) < new Date(existing.lastRenewalDate);
+}
+
+// Subscriptions whose renewal payment failed keep access during their grace period
+function getAccessEndDate(purchase) {
+  const end = new Date(purchase.expirationDate);
+  const graceEnd = purchase.isBillingRetryPeriod && purchase.gracePeriodExpirationDate
+    ? new Date(purchase.gracePeriodExpirationDate)
+    : end;
+  return graceEnd > end ? graceEnd : end;
+}
+
+// Forgets every purchase, transaction and team, e.g. when the mock switches to another scenario
+function clearEntitlements() {
+  store.clear();
+  teams.clear();
+}
+
+function listPurchases(username) {
+  return Object.values(store.read()[username]?.purchases || {});
+}
+
+// Every transaction of `username`, see server/receipts.js
+function listTransactions(username) {
+  const user = store.read()[username];
+  const transactions = { ...user?.transactions };
+  // Purchases recorded before transactions were kept only have their last one
+  for (const purchase of Object.values(user?.purchases || {})) {
+    if (!transactions[purchase.transactionId]) transactions[purchase.transactionId] = purchase;
+  }
+  return Object.values(transactions);
+}
+
+// Subscriptions of `username` giving access right now, the one that lasts the longest first
+function getActiveSubscriptions(username, now = new Date()) {
+  return listPurchases(username)
+    .filter(p => p.renewalIntent && p.expirationDate)
+    .filter(p => !p.cancelationReason && getAccessEndDate(p) > now)
+    .sort((a, b) => getAccessEndDate(b) - getAccessEndDate(a));
+}
+
+function getTeamMembers(owner) {
+  return teams.read()[owner]?.members || [];
+}
+
+// Pending invitations of the team of `owner`, each holding a seat
+function getTeamInvitations(owner) {
+  return teams.read()[owner]?.invitations || [];
+}
+
+function inviteTeamMember(owner, username) {
+  teams.update(data => {
+    const team = data[owner] = data[owner] || { members: [] };
+    team.invitations = team.invitations || [];
+    team.invitations.push({ username, invitedAt: new Date().toISOString() });
+  });
+}
+
+// Removes `username` from the members or the invitations of the team of `owner`, `false` if they're in neither
+function removeTeamMember(owner, username) {
+  return teams.update(data => {
+    const team = data[owner];
+    let removed = false;
+    for (const list of [team?.members || [], team?.invitations || []]) {
+      const index = list.findIndex(entry => entry.username === username);
+      if (index >= 0) list.splice(index, 1);
+      removed = removed || index >= 0;
+    }
+    return removed;
+  });
+}
+
+// Teams inviting `username`: `[{ owner, invitedAt }]`
+function findTeamInvitations(username) {
+  return Object.entries(teams.read()).flatMap(([owner, team]) =>
+    (team.invitations || []).filter(i => i.username === username).map(i => ({ owner, invitedAt: i.invitedAt }))
+  );
+}
+
+// Owner of the team `username` is a member of, `null` if none
+function findTeamOwner(username) {
+  const entry = Object.entries(teams.read()).find(([, team]) => team.members.some(m => m.username === username));
+  return entry ? entry[0] : null;
+}
+
+// Turns the invitation of `owner` into a membership. Returns the code of the
+// error when it can't: `InvitationNotFound`, or `AlreadyInTeam` for members of another team.
+function acceptTeamInvitation(owner, username) {
+  return teams.update(data => {
+    const invitations = data[owner]?.invitations || [];
+    const index = invitations.findIndex(i => i.username === username);
+    if (index < 0) return 'InvitationNotFound';
+    if (Object.values(data).some(team => team.members.some(m => m.username === username))) return 'AlreadyInTeam';
+    invitations.splice(index, 1);
+    data[owner].members.push({ username, addedAt: new Date().toISOString() });
+    return null;
+  });
+}
+
+// The team `username` gets a subscription from: the owner has one seat, members
+// the others, in the order they joined. `null` when there's no seat left for them.
+function findTeamSubscription(username, now) {
+  for (const [owner, team] of Object.entries(teams.read())) {
+    const seat = team.members.findIndex(member => member.username === username) + 1;
+    if (seat === 0) continue;
+    const subscription = getActiveSubscriptions(owner, now)[0];
+    if (subscription && seat < (subscription.quantity || 1)) return { owner, subscription };
+  }
+  return null;
+}
+
+// What the user is entitled to right now. When `productId` is given,
+// `hasAccess` tells whether that product is owned, otherwise whether any
+// subscription is active. Members of a team get the owner's subscription,
+// with `team.owner` set, when they don't have their own.
+function getEntitlements(username, productId) {
+  const now = new Date();
+  const subscriptions = getActiveSubscriptions(username, now);
+  const team = subscriptions.length === 0 ? findTeamSubscription(username, now) : null;
+  if (team) subscriptions.push(team.subscription);
+  // A one-time purchase with a cancelation reason was refunded
+  const oneTimePurchases = listPurchases(username)
+    .filter(p => !p.expirationDate && !p.cancelationReason);
+
+  const productIds = [...new Set([...subscriptions, ...oneTimePurchases].map(p => p.productId))];
+  return {
+    hasAccess: productId ? productIds.includes(productId) : subscriptions.length > 0,
+    subscription: subscriptions[0] || null,
+    oneTimePurchases,
+    productIds,
+    team: team ? { owner: team.owner } : null,
+  };
+}
+
+// GET /api/entitlements[?productId=stripe:prod_x]
+//
+// For the signed-in user, or any user for backends, see requireUserOrBackend.
+function entitlementsRouter() {
+  const router = express.Router();
+
+  router.get('/entitlements', requireUserOrBackend(), (req, res) => {
+    const username = req.applicationUsername;
+    res.json({ ok: true, applicationUsername: username, ...getEntitlements(username, req.query.productId) });
+  });
+
+  return router;
+}
+
+module.exports = {
+  entitlementsRouter, recordPurchases, clearEntitlements, listPurchases, listTransactions, getEntitlements,
+  getTeamMembers, getTeamInvitations, inviteTeamMember, removeTeamMember, findTeamInvitations, findTeamOwner,
+  acceptTeamInvitation,
+};
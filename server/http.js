@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+
+// Helpers shared by the API routers
+
+// Every JSON API answers `{ ok: true, ... }` or `{ ok: false, code, message }`
+function sendError(res, status, code, message) {
+  res.status(status).json({ ok: false, code, message });
+}
+
+// Constant-time comparison of secrets of any length
+function safeEqual(a, b) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+    } catch (error) {
+      // Malformed encoding, e.g. a cookie set by another app on the same domain
+      cookies[part.slice(0, index).trim()] = value;
+    }
+  }
+  return cookies;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Server-rendered page styled with Tabler, for the mock and the analytics report.
+// `body` is HTML: escape what goes in it.
+function htmlPage(title, body, { container = 'container-tight' } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/node_modules/@tabler/core/dist/css/tabler.min.css">
+</head>
+<body>
+  <div class="${container} py-4">
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = { sendError, safeEqual, parseCookies, escapeHtml, htmlPage };
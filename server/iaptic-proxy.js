@@ -0,0 +1,136 @@
+const express = require('express');
+const { requireUser } = require('./accounts');
+const { sendError } = require('./http');
+const { getMaxSeats } = require('./catalog');
+
+// Customer Portal pages the page can open directly, instead of the portal's home
+const PORTAL_FLOWS = ['payment_method_update'];
+
+// The iaptic calls of the page, made by the server with its API key (see
+// server/iaptic.js). Purchases, checkouts, the portal and plan changes are
+// always for the signed-in user: the page can't pick the applicationUsername.
+//
+//   GET  /products                                                    the catalog
+//   GET  /purchases                                                   purchases of the user
+//   POST /checkout { offerId, successUrl, cancelUrl, promotionCode,   returns the Checkout `url`
+//                    quantity }
+//   POST /portal { returnUrl, flow }                                  returns the Customer Portal `url`
+//   POST /change-plan { offerId, effectiveAt }                        returns the updated `purchase`
+//   POST /cancel { purchaseId }                                       returns the updated `purchase`
+//   POST /resume { purchaseId }                                       returns the updated `purchase`
+//   POST /pause { purchaseId, resumesAt }                             returns the updated `purchase`
+function iapticProxyRouter({ iaptic, promotions, catalog }) {
+  const router = express.Router();
+
+  // Runs `handler(req)` and answers `{ ok: true, ...result }`, or the error of iaptic
+  const proxy = handler => async (req, res) => {
+    try {
+      res.json({ ok: true, ...await handler(req) });
+    } catch (error) {
+      if (!error.code) console.error('iaptic request failed:', error);
+      sendError(res, error.status || 502, error.code || 'IapticUnavailable', error.message);
+    }
+  };
+
+  // Stripe sends the user back to these URLs, which must be pages of this site
+  function checkReturnUrl(req, res, next) {
+    const origin = `${req.protocol}://${req.get('host')}`;
+    for (const name of ['successUrl', 'cancelUrl', 'returnUrl']) {
+      if (req.body[name] === undefined) continue;
+      let url;
+      try {
+        url = new URL(req.body[name]);
+      } catch (error) {
+        url = null;
+      }
+      if (url?.origin !== origin) {
+        return sendError(res, 400, 'InvalidReturnUrl', `${name} must be a URL of ${origin}`);
+      }
+    }
+    next();
+  }
+
+  // Several units can only be bought of plans sold per seat, see getMaxSeats()
+  async function checkQuantity(req, res, next) {
+    if (req.body.quantity === undefined) return next();
+    const quantity = Number(req.body.quantity);
+    let product;
+    try {
+      product = (await catalog.products()).find(p => p.offers.some(o => o.id === req.body.offerId));
+    } catch (error) {
+      return sendError(res, 502, 'CatalogUnavailable', error.message);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > getMaxSeats(product)) {
+      return sendError(res, 400, 'InvalidQuantity', `quantity must be between 1 and ${getMaxSeats(product)}`);
+    }
+    next();
+  }
+
+  router.get('/products', proxy(async () => ({
+    products: await iaptic.getProducts(),
+  })));
+
+  router.get('/purchases', requireUser, proxy(async req => ({
+    purchases: await iaptic.getPurchases(req.user.username),
+  })));
+
+  router.post('/checkout', requireUser, checkReturnUrl, checkQuantity, proxy(async req => {
+    const offerId = String(req.body.offerId || '');
+    // The code was checked when typed, but may have expired since
+    const promotionCode = req.body.promotionCode
+      ? await promotions.validateForOffer(req.body.promotionCode, offerId)
+      : undefined;
+    return {
+      url: await iaptic.createCheckout({
+        offerId,
+        applicationUsername: req.user.username,
+        successUrl: req.body.successUrl,
+        cancelUrl: req.body.cancelUrl,
+        promotionCode,
+        quantity: req.body.quantity === undefined ? undefined : Number(req.body.quantity),
+      }),
+    };
+  }));
+
+  router.post('/portal', requireUser, checkReturnUrl, proxy(async req => ({
+    url: await iaptic.createPortalSession({
+      applicationUsername: req.user.username,
+      returnUrl: req.body.returnUrl,
+      flow: PORTAL_FLOWS.includes(req.body.flow) ? req.body.flow : undefined,
+    }),
+  })));
+
+  router.post('/change-plan', requireUser, proxy(async req => ({
+    purchase: await iaptic.changePlan({
+      offerId: String(req.body.offerId || ''),
+      applicationUsername: req.user.username,
+      effectiveAt: req.body.effectiveAt,
+    }),
+  })));
+
+  router.post('/cancel', requireUser, proxy(async req => ({
+    purchase: await iaptic.cancelSubscription({
+      purchaseId: String(req.body.purchaseId || ''),
+      applicationUsername: req.user.username,
+    }),
+  })));
+
+  router.post('/resume', requireUser, proxy(async req => ({
+    purchase: await iaptic.resumeSubscription({
+      purchaseId: String(req.body.purchaseId || ''),
+      applicationUsername: req.user.username,
+    }),
+  })));
+
+  router.post('/pause', requireUser, proxy(async req => ({
+    purchase: await iaptic.pauseSubscription({
+      purchaseId: String(req.body.purchaseId || ''),
+      applicationUsername: req.user.username,
+      resumesAt: req.body.resumesAt,
+    }),
+  })));
+
+  return router;
+}
+
+module.exports = { iapticProxyRouter };
@@ -0,0 +1,94 @@
+const IAPTIC_URL = process.env.IAPTIC_URL || 'https://validator.iaptic.com';
+
+// Server-side client of the iaptic Stripe API. The API key gives access to the
+// purchases of every user of the app, so it stays on the server: the page goes
+// through the proxy in server/iaptic-proxy.js instead.
+//
+// The mock (server/mock.js) provides a client with the same methods. The iaptic
+// API can't cancel, resume or pause a subscription, nor change its number of
+// seats: the mock does it to try the in-page flows, otherwise these methods
+// reject with `NotSupported` and subscribers do it in the Customer Portal.
+function iapticClient({
+  appName = process.env.IAPTIC_APP_NAME,
+  apiKey = process.env.IAPTIC_API_KEY,
+} = {}) {
+  async function request(method, path, body) {
+    if (!appName || !apiKey) {
+      throw iapticError(500, 'MissingCredentials', 'IAPTIC_APP_NAME and IAPTIC_API_KEY must be set on the server');
+    }
+    const response = await fetch(`${IAPTIC_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: 'Basic ' + Buffer.from(`${appName}:${apiKey}`).toString('base64'),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    // Proxies and outages answer with HTML pages
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      throw iapticError(502, 'IapticUnavailable', `iaptic request failed: ${method} ${path} (${response.status}, not JSON)`);
+    }
+    if (!data?.ok) {
+      throw iapticError(response.ok ? 502 : response.status, data?.code || 'IapticError',
+        data?.message || `iaptic request failed: ${method} ${path} (${response.status})`);
+    }
+    return data;
+  }
+
+  // Only the mock implements these, see above
+  const notSupported = action => async () => {
+    throw iapticError(501, 'NotSupported', `iaptic can't ${action}, use the Customer Portal`);
+  };
+
+  return {
+    async getProducts() {
+      return (await request('GET', '/v3/stripe/prices')).products;
+    },
+
+    async getPurchases(applicationUsername) {
+      const query = new URLSearchParams({ applicationUsername });
+      return (await request('GET', `/v3/stripe/purchases?${query}`)).purchases;
+    },
+
+    // `{ offerId, applicationUsername, successUrl, cancelUrl, promotionCode, quantity }`, resolves with the Checkout URL
+    async createCheckout(params) {
+      return (await request('POST', '/v3/stripe/checkout', params)).url;
+    },
+
+    // `{ applicationUsername, returnUrl, flow }`, resolves with the Customer Portal URL.
+    // `flow: 'payment_method_update'` opens the portal on the form to change the card.
+    async createPortalSession(params) {
+      return (await request('POST', '/v3/stripe/portal', params)).url;
+    },
+
+    // `{ offerId, applicationUsername, effectiveAt }`, resolves with the updated purchase
+    async changePlan(params) {
+      return (await request('POST', '/v3/stripe/change-plan', params)).purchase;
+    },
+
+    // `{ purchaseId, applicationUsername, quantity }`, changes the number of seats, resolves with the updated purchase
+    updateQuantity: notSupported('change the number of seats'),
+
+    // `{ purchaseId, applicationUsername }`, cancels at the end of the paid period, resolves with the updated purchase
+    cancelSubscription: notSupported('cancel subscriptions'),
+
+    // `{ purchaseId, applicationUsername }`, undoes a cancellation or a pause, resolves with the updated purchase
+    resumeSubscription: notSupported('resume subscriptions'),
+
+    // `{ purchaseId, applicationUsername, resumesAt }`, skips the payments until `resumesAt`, resolves with the updated purchase
+    pauseSubscription: notSupported('pause subscriptions'),
+  };
+}
+
+// Errors of the clients carry the HTTP status and code the proxy answers with
+function iapticError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+module.exports = { iapticClient, iapticError };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Small file-backed JSON document, good enough for a single-process demo server.
+// Writes go through a temporary file so a crash never leaves half a document.
+function jsonStore(name, defaults) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return JSON.parse(JSON.stringify(defaults));
+    }
+  }
+
+  function write(data) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file + '.tmp', JSON.stringify(data, null, 2));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  // Read-modify-write; `fn` mutates the document and its return value is passed through
+  function update(fn) {
+    const data = read();
+    const result = fn(data);
+    write(data);
+    return result;
+  }
+
+  // Back to `defaults`
+  function clear() {
+    write(JSON.parse(JSON.stringify(defaults)));
+  }
+
+  return { read, update, clear };
+}
+
+// Append-only JSON Lines file, for records that are added but never changed (analytics events, ...)
+function jsonLog(name) {
+  const file = path.join(DATA_DIR, `${name}.jsonl`);
+
+  function append(record) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  }
+
+  // Every record, skipping lines that can't be parsed (e.g. cut short by a crash)
+  function read() {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return [];
+    }
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  return { append, read };
+}
+
+module.exports = jsonStore;
+module.exports.jsonLog = jsonLog;
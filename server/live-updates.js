@@ -0,0 +1,53 @@
+const express = require('express');
+const { requireUser } = require('./accounts');
+const { getTeamMembers } = require('./entitlements');
+
+// Proxies close connections that stay silent for too long
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Open event streams, per username
+const streams = new Map();
+
+/**
+ * Tells the pages of `username` that their purchases changed, along with the
+ * members of their team, whose access comes from their subscription. Pages
+ * then load the purchases again, events don't carry them.
+ */
+function publishPurchasesUpdate(username) {
+  const data = JSON.stringify({ updatedAt: new Date().toISOString() });
+  for (const user of [username, ...getTeamMembers(username).map(member => member.username)]) {
+    for (const res of streams.get(user) || []) res.write(`event: purchases\ndata: ${data}\n\n`);
+  }
+}
+
+// GET /updates: Server-Sent Events stream of the signed-in user, a `purchases`
+// event is sent whenever their purchases change (see publishPurchasesUpdate).
+function liveUpdatesRouter() {
+  const router = express.Router();
+
+  router.get('/updates', requireUser, (req, res) => {
+    const username = req.user.username;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    // Browsers reconnect by themselves, after this many milliseconds
+    res.write('retry: 5000\n\n');
+
+    if (!streams.has(username)) streams.set(username, new Set());
+    streams.get(username).add(res);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      streams.get(username).delete(res);
+      if (streams.get(username).size === 0) streams.delete(username);
+    });
+  });
+
+  return router;
+}
+
+module.exports = { liveUpdatesRouter, publishPurchasesUpdate };
@@ -0,0 +1,109 @@
+const express = require('express');
+const jsonStore = require('./json-store');
+const { requireUserOrBackend } = require('./accounts');
+const { getEntitlements } = require('./entitlements');
+const { sendError } = require('./http');
+
+// Request metering for the "requests/month" plans.
+//
+// Each user gets the `quota` metadata of their active subscription's product
+// as a monthly allowance, reset on the first day of each month (UTC).
+// Consumables with a `quota` add credits that don't expire, used once the
+// monthly allowance is spent.
+const store = jsonStore('usage', {});
+
+function currentPeriod() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+// Credits consumables bought since last time and starts a new period if needed.
+// Mutates and returns the usage record of `username` in `data`.
+function syncUsage(data, username, products) {
+  const findProduct = productId => products.find(p => `stripe:${p.id}` === productId || p.id === productId);
+  const usage = data[username] = data[username] || { period: currentPeriod(), used: 0, credits: 0, creditedPurchases: [] };
+  if (usage.period !== currentPeriod()) {
+    usage.period = currentPeriod();
+    usage.used = 0;
+  }
+
+  const entitlements = getEntitlements(username);
+  for (const purchase of entitlements.oneTimePurchases) {
+    if (usage.creditedPurchases.includes(purchase.purchaseId)) continue;
+    const product = findProduct(purchase.productId);
+    if (product?.type !== 'consumable') continue;
+    usage.credits += Number(product.metadata?.quota) || 0;
+    usage.creditedPurchases.push(purchase.purchaseId);
+  }
+
+  const subscription = entitlements.subscription;
+  const product = subscription && findProduct(subscription.productId);
+  usage.allowance = Number(product?.metadata?.quota) || 0;
+  usage.productId = subscription?.productId || null;
+  return usage;
+}
+
+function balance(usage) {
+  const remaining = Math.max(usage.allowance - usage.used, 0);
+  return {
+    period: usage.period,
+    productId: usage.productId,
+    allowance: usage.allowance,
+    used: usage.used,
+    remaining,
+    credits: usage.credits,
+    available: remaining + usage.credits,
+  };
+}
+
+// GET /api/usage returns the balance, POST /api/usage `{ amount }` records usage
+// and fails with 429 when over quota. Both work for the signed-in user, or any
+// user for backends (see requireUserOrBackend).
+function meteringRouter({ catalog }) {
+  const router = express.Router();
+
+  // The catalog is loaded first, so that store updates happen in one synchronous step
+  async function loadProducts(req, res, next) {
+    try {
+      req.products = await catalog.products();
+      next();
+    } catch (error) {
+      sendError(res, 502, 'CatalogUnavailable', error.message);
+    }
+  }
+
+  router.get('/usage', requireUserOrBackend(), loadProducts, (req, res) => {
+    const usage = store.update(data => syncUsage(data, req.applicationUsername, req.products));
+    res.json({ ok: true, ...balance(usage) });
+  });
+
+  router.post('/usage', requireUserOrBackend(), loadProducts, (req, res) => {
+    const amount = req.body?.amount === undefined ? 1 : Number(req.body.amount);
+    if (!Number.isInteger(amount) || amount < 1) {
+      return sendError(res, 400, 'InvalidAmount', 'amount must be a positive integer');
+    }
+
+    const { usage, accepted } = store.update(data => {
+      const usage = syncUsage(data, req.applicationUsername, req.products);
+      const { remaining, available } = balance(usage);
+      if (available < amount) return { usage, accepted: false };
+      // Spend the monthly allowance first, then the purchased credits
+      const fromAllowance = Math.min(remaining, amount);
+      usage.used += fromAllowance;
+      usage.credits -= amount - fromAllowance;
+      return { usage, accepted: true };
+    });
+    if (!accepted) {
+      return res.status(429).json({ ok: false, code: 'QuotaExceeded', message: 'Request quota exceeded', ...balance(usage) });
+    }
+    res.json({ ok: true, ...balance(usage) });
+  });
+
+  return router;
+}
+
+// Forgets the usage and credits of every user, see clearEntitlements()
+function clearUsage() {
+  store.clear();
+}
+
+module.exports = { meteringRouter, clearUsage };
@@ -0,0 +1,477 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { iapticError } = require('./iaptic');
+const { sendError, escapeHtml, htmlPage } = require('./http');
+const { getPromotionPrice, normalizeCode } = require('./promotions');
+const { getMaxSeats } = require('./catalog');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+// How long "Pay, confirmed later" takes to create the purchase
+const CONFIRMATION_DELAY = 10 * 1000;
+
+// Offline stand-in for the iaptic validator and Stripe Checkout/Portal pages.
+//
+// The iaptic API is answered by `router.client`, which has the methods of the
+// client in server/iaptic.js. The router serves the Checkout and Portal pages,
+// mounted at `basePath`, and a scenario picker.
+//
+// Products are read from fixtures/products.json on every request, so the
+// catalog can be edited while the server is running. Purchases start from
+// fixtures/purchases.json (or the selected scenario) and are kept in memory.
+//
+// `notify` receives the webhook notification iaptic would send after each change.
+// `onReset` is called before the purchases of a scenario are notified, at
+// startup and on reset, to forget what was recorded from the previous one.
+function mockIaptic({ scenario, basePath = '/mock', notify = () => {}, onReset = () => {} } = {}) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(express.urlencoded({ extended: false }));
+
+  if (scenario && !listScenarios().includes(scenario)) {
+    throw new Error(`Unknown scenario ${scenario}, pick one of ${listScenarios().join(', ')}`);
+  }
+  let currentScenario = scenario || null;
+  let purchases = loadPurchases(currentScenario);
+  const checkoutSessions = new Map();
+  const portalSessions = new Map();
+
+  function notifyPurchases(applicationUsername) {
+    const list = purchases[applicationUsername] || [];
+    notify({
+      type: 'purchases.updated',
+      applicationUsername,
+      purchases: Object.fromEntries(list.map(p => [p.purchaseId, p])),
+    });
+  }
+  onReset();
+  Object.keys(purchases).forEach(notifyPurchases);
+
+  const client = {
+    async getProducts() {
+      return loadProducts(currentScenario);
+    },
+
+    async getPurchases(applicationUsername) {
+      return purchases[applicationUsername] || [];
+    },
+
+    // `promotionCode` was checked by server/promotions.js, like Stripe the mock applies it to the first payment
+    async createCheckout({ offerId, applicationUsername, successUrl, cancelUrl, promotionCode, quantity = 1 }) {
+      const { product, offer } = findOffer(loadProducts(currentScenario), offerId);
+      if (!offer) throw iapticError(404, 'OfferNotFound', `Offer ${offerId} does not exist`);
+      if (!applicationUsername) throw iapticError(400, 'MissingUsername', 'applicationUsername is required');
+      const promotion = promotionCode
+        ? loadPromotions(currentScenario).find(p => normalizeCode(p.code) === normalizeCode(promotionCode))
+        : null;
+
+      const sessionId = randomId();
+      checkoutSessions.set(sessionId, { product, offer, promotion, quantity, applicationUsername, successUrl, cancelUrl });
+      return `${basePath}/checkout/${sessionId}`;
+    },
+
+    async createPortalSession({ applicationUsername, returnUrl, flow }) {
+      const sessionId = randomId();
+      portalSessions.set(sessionId, { applicationUsername, returnUrl, flow });
+      return `${basePath}/portal/${sessionId}`;
+    },
+
+    async changePlan({ offerId, applicationUsername, effectiveAt = 'now' }) {
+      const products = loadProducts(currentScenario);
+      const { product, offer } = findOffer(products, offerId);
+      if (!offer) throw iapticError(404, 'OfferNotFound', `Offer ${offerId} does not exist`);
+      if (!['now', 'renewal'].includes(effectiveAt)) {
+        throw iapticError(400, 'InvalidEffectiveAt', 'effectiveAt must be "now" or "renewal"');
+      }
+
+      const subscriptions = (purchases[applicationUsername] || []).filter(p => p.renewalIntent && p.expirationDate);
+      const purchase = subscriptions.find(p => !p.cancelationReason) || subscriptions[0];
+      if (!purchase) throw iapticError(404, 'SubscriptionNotFound', 'No subscription to change');
+
+      const phase = offer.pricingPhases.slice(-1)[0];
+      const now = new Date();
+      const isRunning = !purchase.cancelationReason && new Date(purchase.expirationDate) >= now;
+      delete purchase.scheduledChange;
+      if (effectiveAt === 'renewal' && isRunning) {
+        // Downgrades can wait for the end of the paid period. The mock doesn't
+        // simulate renewals, so the change stays scheduled.
+        purchase.scheduledChange = { offerId: offer.id, effectiveDate: purchase.expirationDate };
+        purchase.renewalIntent = 'Renew';
+        notifyPurchases(applicationUsername);
+        return purchase;
+      }
+
+      const previousPhase = findOffer(products, purchase.offerId).offer?.pricingPhases.slice(-1)[0];
+      // Seats are kept, as far as the new plan allows
+      const quantity = Math.min(purchase.quantity || 1, getMaxSeats(product));
+      Object.assign(purchase, {
+        transactionId: `stripe:in_mock_${randomId()}`,
+        productId: `stripe:${product.id}`,
+        offerId: offer.id,
+        renewalIntent: 'Renew',
+        isTrialPeriod: false,
+        amountMicros: phase.priceMicros * quantity,
+        currency: phase.currency,
+      });
+      if (quantity > 1) purchase.quantity = quantity;
+      else delete purchase.quantity;
+      if (!isRunning || previousPhase?.billingPeriod !== phase.billingPeriod) {
+        // Renewing a cancelled subscription or changing the billing period starts a new billing period
+        delete purchase.cancelationReason;
+        purchase.lastRenewalDate = now.toISOString();
+        purchase.expirationDate = addPeriod(now, phase.billingPeriod).toISOString();
+      }
+      notifyPurchases(applicationUsername);
+      return purchase;
+    },
+
+    // The new amount is charged from the next renewal, Stripe would prorate it
+    async updateQuantity({ purchaseId, applicationUsername, quantity }) {
+      const purchase = findRunningSubscription(applicationUsername, purchaseId);
+      const { product, offer } = findOffer(loadProducts(currentScenario), purchase.offerId);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > getMaxSeats(product)) {
+        throw iapticError(400, 'InvalidQuantity', `quantity must be between 1 and ${getMaxSeats(product)}`);
+      }
+      purchase.quantity = quantity;
+      purchase.amountMicros = offer.pricingPhases.slice(-1)[0].priceMicros * quantity;
+      notifyPurchases(applicationUsername);
+      return purchase;
+    },
+
+    async cancelSubscription({ purchaseId, applicationUsername }) {
+      const purchase = findRunningSubscription(applicationUsername, purchaseId);
+      purchase.renewalIntent = 'Lapse';
+      delete purchase.scheduledChange;
+      delete purchase.pause;
+      notifyPurchases(applicationUsername);
+      return purchase;
+    },
+
+    async resumeSubscription({ purchaseId, applicationUsername }) {
+      const purchase = findRunningSubscription(applicationUsername, purchaseId);
+      purchase.renewalIntent = 'Renew';
+      delete purchase.pause;
+      notifyPurchases(applicationUsername);
+      return purchase;
+    },
+
+    // Like Stripe's pause_collection, the subscription keeps running but isn't
+    // billed from the end of the paid period until `resumesAt`
+    async pauseSubscription({ purchaseId, applicationUsername, resumesAt }) {
+      const purchase = findRunningSubscription(applicationUsername, purchaseId);
+      if (!(new Date(resumesAt) > new Date(purchase.expirationDate))) {
+        throw iapticError(400, 'InvalidResumesAt', 'resumesAt must be a date after the end of the paid period');
+      }
+      purchase.renewalIntent = 'Renew';
+      purchase.pause = { startDate: purchase.expirationDate, resumesAt: new Date(resumesAt).toISOString() };
+      delete purchase.scheduledChange;
+      notifyPurchases(applicationUsername);
+      return purchase;
+    },
+  };
+
+  // Cancellations, pauses and resumptions apply to subscriptions that haven't ended yet
+  function findRunningSubscription(applicationUsername, purchaseId) {
+    const purchase = (purchases[applicationUsername] || []).find(p => p.purchaseId === purchaseId);
+    if (!purchase || !purchase.renewalIntent || !purchase.expirationDate) {
+      throw iapticError(404, 'SubscriptionNotFound', `Subscription ${purchaseId} does not exist`);
+    }
+    if (purchase.cancelationReason || new Date(purchase.expirationDate) <= new Date()) {
+      throw iapticError(409, 'SubscriptionEnded', `Subscription ${purchaseId} has ended`);
+    }
+    return purchase;
+  }
+
+  router.get('/checkout/:sessionId', (req, res) => {
+    const session = checkoutSessions.get(req.params.sessionId);
+    if (!session) return res.status(404).send(page('Checkout expired', '<p>This checkout session does not exist.</p>'));
+
+    const { product, offer, promotion, quantity } = session;
+    const promotionPrice = promotion && getPromotionPrice(promotion, offer);
+    res.send(page(`Checkout: ${product.title}`, `
+      <p class="text-muted">${escapeHtml(product.description || '')}</p>
+      <ul class="list-unstyled mb-4">
+        ${offer.pricingPhases.map(phase => `<li>${escapeHtml(describePhase(phase))}${quantity > 1 ? ` per seat` : ''}</li>`).join('')}
+        ${quantity > 1 ? `<li><strong>${quantity} seats</strong></li>` : ''}
+      </ul>
+      ${promotionPrice ? `
+        <p>Promotion code <strong>${escapeHtml(normalizeCode(promotion.code))}</strong>:
+          the first payment${promotionPrice.afterTrial ? ', after the trial,' : ''} is ${escapeHtml(describePhase({ priceMicros: promotionPrice.priceMicros, currency: promotionPrice.currency }))}${quantity > 1 ? ' per seat' : ''}</p>
+      ` : ''}
+      <form method="post">
+        <button class="btn btn-primary" name="action" value="pay">Pay (test)</button>
+        <button class="btn" name="action" value="pay-later">Pay, confirmed after ${CONFIRMATION_DELAY / 1000}s (test)</button>
+        <button class="btn" name="action" value="fail">Pay, payment fails (test)</button>
+        <button class="btn btn-link" name="action" value="cancel">Cancel</button>
+      </form>
+    `));
+  });
+
+  router.post('/checkout/:sessionId', (req, res) => {
+    const session = checkoutSessions.get(req.params.sessionId);
+    if (!session) return res.status(404).send(page('Checkout expired', '<p>This checkout session does not exist.</p>'));
+    checkoutSessions.delete(req.params.sessionId);
+
+    const { action } = req.body;
+    if (!['pay', 'pay-later', 'fail'].includes(action)) return res.redirect(session.cancelUrl);
+
+    // Like asynchronous payment methods, the user is back before the outcome is known
+    const purchase = createPurchase(session.product, session.offer, session.promotion, session.quantity);
+    if (action === 'fail') {
+      purchase.cancelationReason = 'System.BillingError';
+      if (purchase.expirationDate) purchase.expirationDate = purchase.purchaseDate;
+    }
+    const record = () => {
+      const list = purchases[session.applicationUsername] = purchases[session.applicationUsername] || [];
+      list.push(purchase);
+      notifyPurchases(session.applicationUsername);
+    };
+    if (action === 'pay-later') setTimeout(record, CONFIRMATION_DELAY);
+    else record();
+    res.redirect(session.successUrl);
+  });
+
+  router.get('/portal/:sessionId', (req, res) => {
+    const session = portalSessions.get(req.params.sessionId);
+    if (!session) return res.status(404).send(page('Portal expired', '<p>This portal session does not exist.</p>'));
+
+    if (session.flow === 'payment_method_update') {
+      return res.send(page('Update payment method', `
+        <p>Stripe retries the unpaid renewals of your subscriptions with the new card.</p>
+        <form method="post" action="${req.baseUrl}/portal/${req.params.sessionId}/payment-method">
+          <button class="btn btn-primary" name="action" value="save">Save card (test)</button>
+          <button class="btn" name="action" value="decline">Save card, payment fails again (test)</button>
+          <a class="btn btn-link" href="${escapeHtml(session.returnUrl)}">Return to the app</a>
+        </form>
+      `));
+    }
+
+    const products = loadProducts(currentScenario);
+    const subscriptions = (purchases[session.applicationUsername] || []).filter(p => p.renewalIntent && p.expirationDate);
+    res.send(page('Customer portal', `
+      <table class="table">
+        ${subscriptions.map(purchase => {
+          const product = products.find(p => `stripe:${p.id}` === purchase.productId);
+          const action = purchase.cancelationReason ? '' : purchase.renewalIntent === 'Renew' ? 'cancel' : 'resume';
+          return `
+            <tr>
+              <td>${escapeHtml(product ? product.title : purchase.productId)}</td>
+              <td>${purchase.cancelationReason ? 'Cancelled' : purchase.renewalIntent === 'Renew' ? 'Active' : 'Canceling'}</td>
+              <td>${new Date(purchase.expirationDate).toDateString()}</td>
+              <td>${action ? `
+                <form method="post" action="${req.baseUrl}/portal/${req.params.sessionId}/purchases/${encodeURIComponent(purchase.purchaseId)}">
+                  <button class="btn btn-sm" name="action" value="${action}">${action === 'cancel' ? 'Cancel plan' : 'Resume plan'}</button>
+                </form>` : ''}
+              </td>
+            </tr>
+          `;
+        }).join('') || '<tr><td class="text-muted">No subscriptions</td></tr>'}
+      </table>
+      <a class="btn btn-primary" href="${escapeHtml(session.returnUrl)}">Return to the app</a>
+    `));
+  });
+
+  router.post('/portal/:sessionId/purchases/:purchaseId', (req, res) => {
+    const session = portalSessions.get(req.params.sessionId);
+    if (!session) return res.status(404).send(page('Portal expired', '<p>This portal session does not exist.</p>'));
+
+    const purchase = (purchases[session.applicationUsername] || []).find(p => p.purchaseId === req.params.purchaseId);
+    if (purchase) {
+      purchase.renewalIntent = req.body.action === 'cancel' ? 'Lapse' : 'Renew';
+      delete purchase.pause;
+      notifyPurchases(session.applicationUsername);
+    }
+    res.redirect(`${req.baseUrl}/portal/${req.params.sessionId}`);
+  });
+
+  // A new card pays the renewals that failed or are overdue, which starts a new period
+  router.post('/portal/:sessionId/payment-method', (req, res) => {
+    const session = portalSessions.get(req.params.sessionId);
+    if (!session) return res.status(404).send(page('Portal expired', '<p>This portal session does not exist.</p>'));
+    if (req.body.action !== 'save') return res.redirect(session.returnUrl);
+
+    const products = loadProducts(currentScenario);
+    const now = new Date();
+    const unpaid = (purchases[session.applicationUsername] || []).filter(p => p.renewalIntent === 'Renew'
+      && p.expirationDate && !p.cancelationReason && (p.isBillingRetryPeriod || new Date(p.expirationDate) <= now));
+    for (const purchase of unpaid) {
+      const phase = findOffer(products, purchase.offerId).offer?.pricingPhases.slice(-1)[0];
+      Object.assign(purchase, {
+        transactionId: `stripe:in_mock_${randomId()}`,
+        lastRenewalDate: now.toISOString(),
+        expirationDate: addPeriod(now, phase?.billingPeriod || 'P1M').toISOString(),
+      });
+      delete purchase.isBillingRetryPeriod;
+      delete purchase.gracePeriodExpirationDate;
+    }
+    if (unpaid.length > 0) notifyPurchases(session.applicationUsername);
+    res.redirect(session.returnUrl);
+  });
+
+  // Scenario picker, to script the state the demo starts from
+  router.get('/', (req, res) => {
+    res.send(page('Mock iaptic', `
+      <p>Current scenario: <strong>${escapeHtml(currentScenario || 'default')}</strong></p>
+      <form method="post" action="${req.baseUrl}/reset">
+        <div class="list-group mb-3">
+          ${['', ...listScenarios()].map(name => `
+            <label class="list-group-item">
+              <input class="form-check-input me-2" type="radio" name="scenario" value="${escapeHtml(name)}"
+                ${name === (currentScenario || '') ? 'checked' : ''}>
+              <strong>${escapeHtml(name || 'default')}</strong>
+              <span class="text-muted">${escapeHtml(name ? readScenario(name).description || '' : 'fixtures/products.json and fixtures/purchases.json')}</span>
+            </label>
+          `).join('')}
+        </div>
+        <button class="btn btn-primary">Reset purchases</button>
+        <a class="btn btn-link" href="/">Open the demo</a>
+      </form>
+    `));
+  });
+
+  router.post('/reset', (req, res) => {
+    const name = req.body.scenario || null;
+    // Purchases of an unknown scenario can't be loaded, the mock would fail until the next reset
+    if (name && !listScenarios().includes(name)) {
+      const message = `Unknown scenario ${name}, pick one of ${listScenarios().join(', ')}`;
+      if (req.is('json')) return sendError(res, 400, 'UnknownScenario', message);
+      return res.status(400).send(page('Unknown scenario', `<p>${escapeHtml(message)}</p>`));
+    }
+    currentScenario = name;
+    purchases = loadPurchases(currentScenario);
+    onReset();
+    Object.keys(purchases).forEach(notifyPurchases);
+    checkoutSessions.clear();
+    portalSessions.clear();
+    if (req.is('json')) return res.json({ ok: true, scenario: currentScenario });
+    res.redirect(req.baseUrl + '/');
+  });
+
+  router.client = client;
+  // Promotion codes of the fixtures, see server/promotions.js
+  router.promotions = async () => loadPromotions(currentScenario);
+  // Seller details printed on receipts, see server/receipts.js
+  router.seller = () => readFixture('seller.json');
+
+  return router;
+}
+
+function readFixture(file) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+}
+
+function readScenario(name) {
+  return readFixture(path.join('scenarios', `${path.basename(name)}.json`));
+}
+
+function listScenarios() {
+  return fs.readdirSync(path.join(FIXTURES_DIR, 'scenarios'))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''));
+}
+
+function loadProducts(scenario) {
+  const products = scenario && readScenario(scenario).products;
+  return products || readFixture('products.json');
+}
+
+function loadPromotions(scenario) {
+  const promotions = (scenario && readScenario(scenario).promotions) || readFixture('promotions.json');
+  return promotions.map(promotion => ({
+    ...promotion,
+    expiresAt: promotion.expiresAt && resolveDate(promotion.expiresAt),
+  }));
+}
+
+function loadPurchases(scenario) {
+  const purchases = (scenario && readScenario(scenario).purchases) || readFixture('purchases.json');
+  for (const list of Object.values(purchases)) {
+    for (const purchase of list) {
+      for (const field of ['purchaseDate', 'lastRenewalDate', 'expirationDate', 'gracePeriodExpirationDate']) {
+        if (purchase[field]) purchase[field] = resolveDate(purchase[field]);
+      }
+    }
+  }
+  return purchases;
+}
+
+// Fixture dates can be relative to server start, e.g. "now-P10D" or "now+P1M"
+function resolveDate(value) {
+  const match = /^now(?:([+-])(P.+))?$/.exec(value);
+  if (!match) return value;
+  const date = match[2] ? addPeriod(new Date(), match[2], match[1] === '-' ? -1 : 1) : new Date();
+  return date.toISOString();
+}
+
+function addPeriod(date, isoPeriod, sign = 1) {
+  const match = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?$/.exec(isoPeriod || '');
+  const result = new Date(date);
+  if (!match) return result;
+  const [, years = 0, months = 0, weeks = 0, days = 0] = match;
+  result.setFullYear(result.getFullYear() + sign * years);
+  result.setMonth(result.getMonth() + sign * months);
+  result.setDate(result.getDate() + sign * (weeks * 7 + Number(days)));
+  return result;
+}
+
+function findOffer(products, offerId) {
+  for (const product of products) {
+    const offer = product.offers.find(o => o.id === offerId);
+    if (offer) return { product, offer };
+  }
+  return {};
+}
+
+function createPurchase(product, offer, promotion, quantity = 1) {
+  const now = new Date();
+  const [firstPhase] = offer.pricingPhases;
+  // After a free trial, the discount goes to the first payment, which isn't this one
+  const promotionPrice = promotion && getPromotionPrice(promotion, offer);
+  const discounted = promotionPrice && !promotionPrice.afterTrial ? promotionPrice.priceMicros : null;
+  const purchase = {
+    purchaseId: `stripe:${product.type === 'paid subscription' ? 'sub' : 'pi'}_mock_${randomId()}`,
+    transactionId: `stripe:in_mock_${randomId()}`,
+    productId: `stripe:${product.id}`,
+    offerId: offer.id,
+    platform: 'stripe',
+    purchaseDate: now.toISOString(),
+    amountMicros: (discounted ?? firstPhase.priceMicros) * quantity,
+    currency: firstPhase.currency,
+  };
+  if (quantity > 1) purchase.quantity = quantity;
+  if (product.type === 'paid subscription') {
+    Object.assign(purchase, {
+      lastRenewalDate: now.toISOString(),
+      expirationDate: addPeriod(now, firstPhase.billingPeriod).toISOString(),
+      renewalIntent: 'Renew',
+      isTrialPeriod: firstPhase.paymentMode === 'FreeTrial',
+    });
+  }
+  return purchase;
+}
+
+function describePhase(phase) {
+  const price = `${(phase.priceMicros / 1000000).toFixed(2)} ${phase.currency}`;
+  if (!phase.billingPeriod) return price;
+  if (phase.paymentMode === 'FreeTrial') return `Free trial for ${phase.billingPeriod}`;
+  return `${price} every ${phase.billingPeriod}` + (phase.billingCycles ? ` for ${phase.billingCycles} cycles` : '');
+}
+
+function randomId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function page(title, body) {
+  return htmlPage(title, `
+    <div class="alert alert-info">Mock iaptic: no real payment is made.</div>
+    <div class="card">
+      <div class="card-body">
+        <h2 class="card-title">${escapeHtml(title)}</h2>
+        ${body}
+      </div>
+    </div>
+  `);
+}
+
+module.exports = mockIaptic;
@@ -0,0 +1,63 @@
+// Minimal PDF writer for one-page text documents such as receipts. It uses the
+// standard Helvetica fonts, which every PDF reader has, so no font is embedded
+// and no dependency is needed. Text is encoded in WinAnsiEncoding: characters
+// it doesn't have are printed as "?".
+
+// A4, in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// WinAnsiEncoding is Latin-1, except for these characters in 0x80-0x9F
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f,
+  // Intl.NumberFormat separates thousands with a narrow no-break space in some locales
+  '\u202f': 0xa0,
+};
+
+// PDF string literal of `text`, e.g. "(Total \\(USD\\))"
+function encodeText(text) {
+  const bytes = [...String(text)].map(char => {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI[char] !== undefined) return WIN_ANSI[char];
+    return code < 0x80 || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+  });
+  return '(' + Buffer.from(bytes).toString('latin1').replace(/[\\()]/g, '\\$&') + ')';
+}
+
+/**
+ * PDF document of one page with `items`, each `{ x, y, text, size = 10, bold = false }`.
+ * `x` and `y` are the position of the start of the text, in points from the
+ * top left corner of the page. Returns a Buffer.
+ */
+function renderPdf(items) {
+  const content = items.map(({ x, y, text, size = 10, bold = false }) =>
+    `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${PAGE_HEIGHT - y} Td ${encodeText(text)} Tj ET`
+  ).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+  ];
+
+  // The cross-reference table gives the byte offset of every object
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderPdf, PAGE_WIDTH, PAGE_HEIGHT };
@@ -0,0 +1,119 @@
+const express = require('express');
+const jsonStore = require('./json-store');
+const { sendError } = require('./http');
+
+// Promotion codes, which mirror the promotion codes set up in Stripe. They are
+// kept in data/promotions.json (fixtures/promotions.json in offline mode):
+//
+//   { "code": "WELCOME20", "percentOff": 20, "duration": "once", "expiresAt": "2030-01-01T00:00:00Z" }
+//   { "code": "PRO5", "amountOffMicros": 5000000, "currency": "USD",
+//     "duration": "repeating", "durationInMonths": 3, "productIds": ["prod_pro"] }
+//
+// `duration` is how long subscriptions get the discount: the first period
+// (`once`), `durationInMonths` months (`repeating`) or `forever`. `productIds`
+// limits the products the code applies to, `expiresAt` when it can be used.
+const store = jsonStore('promotions', []);
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Price of `phase` once discounted by `promotion`, rounded to the cent. `null`
+// when the promotion can't apply to it (amount off in another currency).
+function applyPromotion(promotion, phase) {
+  if (promotion.percentOff) {
+    return Math.round(phase.priceMicros * (100 - promotion.percentOff) / 100 / 10000) * 10000;
+  }
+  if (promotion.currency?.toUpperCase() !== phase.currency.toUpperCase()) return null;
+  return Math.max(phase.priceMicros - promotion.amountOffMicros, 0);
+}
+
+// First price of `offer` paid with `promotion`, the one Checkout discounts: the first phase that isn't
+// free, so after a free trial and during an introductory price. `{ priceMicros, currency, billingPeriod,
+// afterTrial }`, `null` when the promotion can't apply to it.
+function getPromotionPrice(promotion, offer) {
+  const phase = offer.pricingPhases.find(p => p.priceMicros > 0);
+  const priceMicros = phase ? applyPromotion(promotion, phase) : null;
+  if (priceMicros === null) return null;
+  return {
+    priceMicros,
+    currency: phase.currency,
+    billingPeriod: phase.billingPeriod || null,
+    afterTrial: phase !== offer.pricingPhases[0],
+  };
+}
+
+function promotionError(status, code, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// Promotion codes and the offers they apply to. `getPromotions` returns the
+// list of codes, `catalog` is server/catalog.js.
+function promotions({ catalog, getPromotions = async () => store.read() }) {
+  async function find(code) {
+    const promotion = (await getPromotions()).find(p => normalizeCode(p.code) === normalizeCode(code));
+    if (!promotion) throw promotionError(404, 'PromotionNotFound', `Promotion code ${code} does not exist`);
+    if (promotion.expiresAt && new Date(promotion.expiresAt) <= new Date()) {
+      throw promotionError(410, 'PromotionExpired', `Promotion code ${code} has expired`);
+    }
+    return promotion;
+  }
+
+  /**
+   * The promotion `code` and the discounted price of each offer it applies to,
+   * keyed by offer id: `{ promotion, offers: { [offerId]: { priceMicros, currency, billingPeriod, afterTrial } } }`.
+   * The price is the first one paid, see getPromotionPrice().
+   */
+  async function validate(code) {
+    const promotion = await find(code);
+    const offers = {};
+    for (const product of await catalog.products()) {
+      if (promotion.productIds && !promotion.productIds.includes(product.id)) continue;
+      for (const offer of product.offers) {
+        const price = getPromotionPrice(promotion, offer);
+        if (price) offers[offer.id] = price;
+      }
+    }
+    if (Object.keys(offers).length === 0) {
+      throw promotionError(422, 'PromotionNotApplicable', `Promotion code ${code} does not apply to any product`);
+    }
+    return { promotion: publicPromotion(promotion), offers };
+  }
+
+  // Checks that `code` can be used to buy `offerId`, returns the normalized code
+  async function validateForOffer(code, offerId) {
+    const { promotion, offers } = await validate(code);
+    if (!offers[offerId]) {
+      throw promotionError(422, 'PromotionNotApplicable', `Promotion code ${code} does not apply to this offer`);
+    }
+    return promotion.code;
+  }
+
+  return { validate, validateForOffer };
+}
+
+function publicPromotion(promotion) {
+  const { code, percentOff, amountOffMicros, currency, duration, durationInMonths, expiresAt } = promotion;
+  return { code: normalizeCode(code), percentOff, amountOffMicros, currency, duration, durationInMonths, expiresAt };
+}
+
+// GET /api/promotions/:code checks a code typed by the visitor, see validate()
+function promotionsRouter({ promotions }) {
+  const router = express.Router();
+
+  router.get('/promotions/:code', async (req, res) => {
+    try {
+      res.json({ ok: true, ...await promotions.validate(req.params.code) });
+    } catch (error) {
+      if (!error.code) return sendError(res, 502, 'CatalogUnavailable', error.message);
+      sendError(res, error.status, error.code, error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { promotions, promotionsRouter, getPromotionPrice, normalizeCode };
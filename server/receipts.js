@@ -0,0 +1,268 @@
+const express = require('express');
+const jsonStore = require('./json-store');
+const { requireUser } = require('./accounts');
+const { listPurchases, listTransactions } = require('./entitlements');
+const { sendError, escapeHtml, htmlPage } = require('./http');
+const { renderPdf } = require('./pdf');
+
+// Receipts of the signed-in user: one per transaction recorded by
+// server/entitlements.js, so one per purchase and renewal that was paid.
+// Declined payments have none.
+//
+//   GET /receipts                      the receipts, most recent first
+//   GET /receipts.csv                  the same, as a CSV file: the billing history
+//   GET /receipts/:transactionId       printable receipt
+//   GET /receipts/:transactionId.pdf   the same, as a PDF file
+//
+// The seller details printed on receipts are kept in data/seller.json
+// (fixtures/seller.json in offline mode), every field is optional:
+//
+//   { "name": "Example Inc.", "address": ["1 Main Street", "San Francisco, CA 94105"],
+//     "email": "billing@example.com", "taxId": "US123456789", "taxIdLabel": "EIN" }
+const sellerStore = jsonStore('seller', {});
+
+const BILLING_PERIODS = { P1W: 'Weekly', P1M: 'Monthly', P3M: 'Quarterly', P6M: 'Every 6 months', P1Y: 'Yearly' };
+
+// Receipts are in English, like the other pages rendered by the server
+function formatAmount(amountMicros, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amountMicros / 1000000);
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Stripe couldn't charge the payment method: a declined Checkout, or a renewal that failed for good
+function isDeclined(purchase) {
+  return purchase.cancelationReason === 'System.BillingError';
+}
+
+// What was paid by `transaction`, a purchase as of one of its transactions. `products` is the catalog,
+// `purchase` the same purchase as it is now, which tells whether it was refunded since.
+function getReceipt(transaction, products, purchase = transaction) {
+  const product = products.find(p => `stripe:${p.id}` === transaction.productId);
+  const offer = product?.offers.find(o => o.id === transaction.offerId);
+  const isSubscription = Boolean(transaction.expirationDate);
+  return {
+    transactionId: transaction.transactionId,
+    purchaseId: transaction.purchaseId,
+    productId: transaction.productId,
+    product: product?.title || transaction.productId,
+    billingPeriod: isSubscription ? offer?.pricingPhases.slice(-1)[0].billingPeriod || null : null,
+    date: transaction.lastRenewalDate || transaction.purchaseDate,
+    periodEnd: isSubscription ? transaction.expirationDate : null,
+    quantity: transaction.quantity || 1,
+    amountMicros: transaction.amountMicros,
+    currency: transaction.currency.toUpperCase(),
+    // One-time purchases with a cancelation reason were refunded
+    refunded: !isSubscription && Boolean(purchase.cancelationReason),
+  };
+}
+
+function describeItem(receipt) {
+  if (!receipt.billingPeriod) return receipt.product;
+  return `${receipt.product}, ${(BILLING_PERIODS[receipt.billingPeriod] || receipt.billingPeriod).toLowerCase()} subscription`;
+}
+
+// Label and value of the rows at the top of the receipt
+function getReceiptDetails(receipt, username) {
+  return [
+    ['Receipt number', receipt.transactionId],
+    ['Date paid', formatDate(receipt.date)],
+    ['Billed to', username],
+    ['Purchase ID', receipt.purchaseId],
+    ...(receipt.periodEnd ? [['Service period', `${formatDate(receipt.date)} – ${formatDate(receipt.periodEnd)}`]] : []),
+  ];
+}
+
+function getSellerLines(seller) {
+  return [
+    ...[].concat(seller.address || []),
+    seller.email,
+    seller.taxId && `${seller.taxIdLabel || 'Tax ID'}: ${seller.taxId}`,
+  ].filter(Boolean);
+}
+
+function renderReceiptPage(receipt, seller, username, pdfUrl) {
+  const total = formatAmount(receipt.amountMicros, receipt.currency);
+  return htmlPage(`Receipt ${receipt.transactionId}`, `
+    <div class="card">
+      <div class="card-body">
+        <div class="d-flex justify-content-between mb-4">
+          <div>
+            ${seller.name ? `<div class="fw-bold">${escapeHtml(seller.name)}</div>` : ''}
+            ${getSellerLines(seller).map(line => `<div class="text-muted">${escapeHtml(line)}</div>`).join('')}
+          </div>
+          <h1 class="mb-0">Receipt</h1>
+        </div>
+        ${receipt.refunded ? '<div class="alert alert-warning">This purchase was refunded.</div>' : ''}
+        <table class="table table-sm mb-4">
+          ${getReceiptDetails(receipt, username).map(([label, value]) => `
+            <tr>
+              <td class="text-muted">${label}</td>
+              <td>${escapeHtml(value)}</td>
+            </tr>
+          `).join('')}
+        </table>
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Description</th>
+              <th class="text-end">Quantity</th>
+              <th class="text-end">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>${escapeHtml(describeItem(receipt))}</td>
+              <td class="text-end">${receipt.quantity}</td>
+              <td class="text-end">${escapeHtml(total)}</td>
+            </tr>
+            <tr>
+              <td colspan="2" class="text-end fw-bold">Total paid</td>
+              <td class="text-end fw-bold">${escapeHtml(total)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div class="d-print-none">
+          <a class="btn" href="${escapeHtml(pdfUrl)}">Download PDF</a>
+        </div>
+      </div>
+    </div>
+  `, { container: 'container' });
+}
+
+function renderReceiptPdf(receipt, seller, username) {
+  const total = formatAmount(receipt.amountMicros, receipt.currency);
+  const items = [{ x: 400, y: 70, text: 'Receipt', size: 24, bold: true }];
+  let y = 60;
+  const line = (text, { x = 50, size = 10, bold = false, height = 15 } = {}) => {
+    items.push({ x, y, text, size, bold });
+    y += height;
+  };
+
+  if (seller.name) line(seller.name, { bold: true, size: 12, height: 17 });
+  getSellerLines(seller).forEach(text => line(text));
+
+  y = Math.max(y, 90) + 30;
+  for (const [label, value] of getReceiptDetails(receipt, username)) {
+    items.push({ x: 50, y, text: label, bold: true });
+    line(value, { x: 160 });
+  }
+  if (receipt.refunded) line('This purchase was refunded.', { bold: true });
+
+  y += 25;
+  items.push({ x: 400, y, text: 'Quantity', bold: true });
+  items.push({ x: 470, y, text: 'Amount', bold: true });
+  line('Description', { bold: true, height: 20 });
+  items.push({ x: 400, y, text: String(receipt.quantity) });
+  items.push({ x: 470, y, text: total });
+  line(describeItem(receipt), { height: 25 });
+  items.push({ x: 470, y, text: total, bold: true });
+  line('Total paid', { x: 400, bold: true });
+
+  return renderPdf(items);
+}
+
+// Formulas typed in a product title shouldn't run when the file is opened in a spreadsheet.
+// Numbers such as negative amounts stay numbers.
+function csvField(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(receipts) {
+  const header = [
+    'Date', 'Receipt number', 'Purchase ID', 'Product', 'Billing period',
+    'Quantity', 'Amount', 'Currency', 'Service period end', 'Refunded',
+  ];
+  const rows = receipts.map(receipt => [
+    receipt.date.slice(0, 10),
+    receipt.transactionId,
+    receipt.purchaseId,
+    receipt.product,
+    receipt.billingPeriod ? BILLING_PERIODS[receipt.billingPeriod] || receipt.billingPeriod : 'One-time',
+    receipt.quantity,
+    (receipt.amountMicros / 1000000).toFixed(2),
+    receipt.currency,
+    receipt.periodEnd ? receipt.periodEnd.slice(0, 10) : '',
+    receipt.refunded ? 'yes' : 'no',
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// File name of downloads, without the "stripe:" prefix of ids
+function fileName(transactionId, extension) {
+  return `receipt-${transactionId.replace(/^stripe:/, '').replace(/[^\w.-]/g, '_')}.${extension}`;
+}
+
+// `catalog` is server/catalog.js, `getSeller` returns the seller details
+function receiptsRouter({ catalog, getSeller = () => sellerStore.read() }) {
+  const router = express.Router();
+
+  // Receipts of the signed-in user, most recent first. Transactions of an unknown amount have none,
+  // nor declined ones: when notified as paid first, the purchase as it is now tells they were declined since.
+  async function listReceipts(username) {
+    let products = [];
+    try {
+      products = await catalog.products();
+    } catch (error) {
+      // Product ids are shown instead of titles
+    }
+    const purchases = listPurchases(username);
+    return listTransactions(username)
+      .filter(transaction => transaction.amountMicros !== undefined && transaction.currency)
+      .map(transaction => {
+        const purchase = purchases.find(p => p.transactionId === transaction.transactionId) || transaction;
+        return { transaction, purchase };
+      })
+      .filter(({ transaction, purchase }) => !isDeclined(transaction) && !isDeclined(purchase))
+      .map(({ transaction, purchase }) => getReceipt(transaction, products, purchase))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  }
+
+  // Runs `handler(req, res, next)`, answering a `ReceiptsUnavailable` error when it fails
+  const handle = handler => async (req, res, next) => {
+    try {
+      await handler(req, res, next);
+    } catch (error) {
+      console.error('receipts request failed:', error);
+      sendError(res, 500, 'ReceiptsUnavailable', error.message);
+    }
+  };
+
+  // Sets `req.receipt` to the receipt of the `:transactionId` of the signed-in user
+  const findReceipt = handle(async (req, res, next) => {
+    const receipt = (await listReceipts(req.user.username)).find(r => r.transactionId === req.params.transactionId);
+    if (!receipt) return sendError(res, 404, 'ReceiptNotFound', `No receipt for transaction ${req.params.transactionId}`);
+    req.receipt = receipt;
+    next();
+  });
+
+  router.get('/receipts', requireUser, handle(async (req, res) => {
+    res.json({ ok: true, receipts: await listReceipts(req.user.username) });
+  }));
+
+  router.get('/receipts.csv', requireUser, handle(async (req, res) => {
+    const csv = renderCsv(await listReceipts(req.user.username));
+    res.attachment('billing-history.csv');
+    res.send(csv);
+  }));
+
+  // Before the HTML route, which would take ".pdf" as part of the transaction id
+  router.get('/receipts/:transactionId.pdf', requireUser, findReceipt, handle((req, res) => {
+    const pdf = renderReceiptPdf(req.receipt, getSeller(), req.user.username);
+    res.attachment(fileName(req.receipt.transactionId, 'pdf'));
+    res.send(pdf);
+  }));
+
+  router.get('/receipts/:transactionId', requireUser, findReceipt, handle((req, res) => {
+    const pdfUrl = `${req.baseUrl}/receipts/${encodeURIComponent(req.receipt.transactionId)}.pdf`;
+    res.send(renderReceiptPage(req.receipt, getSeller(), req.user.username, pdfUrl));
+  }));
+
+  return router;
+}
+
+module.exports = { receiptsRouter };
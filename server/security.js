@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { sendError, safeEqual, parseCookies } = require('./http');
+const { isBackendRequest } = require('./accounts');
+
+const CSRF_COOKIE = 'csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// What the page may load: its own scripts and styles only. Inline styles are
+// allowed for the `style` attributes of the templates (progress bars, ...).
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline'",
+  "img-src 'self' data:",
+  "connect-src 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+  "base-uri 'none'",
+  "object-src 'none'",
+].join('; ');
+
+// Middleware setting the Content-Security-Policy and related headers on every response
+function securityHeaders(req, res, next) {
+  res.set({
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'same-origin',
+  });
+  next();
+}
+
+// Middleware limiting each client to `limit` requests per `windowMs`. Clients
+// are the session when signed in, the IP address otherwise.
+function rateLimit({ limit, windowMs = 60 * 1000 }) {
+  const clients = new Map();
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.sessionId || req.ip;
+    let client = clients.get(key);
+    if (!client || client.resetAt <= now) {
+      // Forget the clients whose window is over while we are at it
+      for (const [id, entry] of clients) {
+        if (entry.resetAt <= now) clients.delete(id);
+      }
+      client = { count: 0, resetAt: now + windowMs };
+      clients.set(key, client);
+    }
+    client.count++;
+    if (client.count > limit) {
+      res.set('Retry-After', String(Math.ceil((client.resetAt - now) / 1000)));
+      return sendError(res, 429, 'TooManyRequests', 'Too many requests, try again in a moment');
+    }
+    next();
+  };
+}
+
+// Middleware against cross-site request forgery (double-submit cookie): the
+// page reads the `csrf` cookie and sends it back in the X-CSRF-Token header,
+// which another site can't do. Only requests that change something are checked,
+// except those of backends with the backend API key, which don't use cookies.
+// Any other Authorization header is not enough: a page could send one.
+function csrfProtection(req, res, next) {
+  let token = parseCookies(req.headers.cookie)[CSRF_COOKIE];
+  if (!token) {
+    token = crypto.randomBytes(32).toString('hex');
+    res.cookie(CSRF_COOKIE, token, { sameSite: 'strict' });
+  }
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || isBackendRequest(req)) return next();
+  const header = req.get(CSRF_HEADER);
+  if (!header || !safeEqual(header, token)) {
+    return sendError(res, 403, 'InvalidCsrfToken', 'Missing or invalid CSRF token, reload the page');
+  }
+  next();
+}
+
+module.exports = { securityHeaders, rateLimit, csrfProtection };
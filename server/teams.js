@@ -0,0 +1,147 @@
+const express = require('express');
+const { getMaxSeats } = require('./catalog');
+const { requireUser, normalizeUsername } = require('./accounts');
+const {
+  getEntitlements, getTeamMembers, getTeamInvitations, inviteTeamMember, removeTeamMember,
+  findTeamInvitations, findTeamOwner, acceptTeamInvitation,
+} = require('./entitlements');
+const { sendError } = require('./http');
+const { publishPurchasesUpdate } = require('./live-updates');
+
+// Teams of seat subscriptions (plans with a `maxSeats` metadata, see
+// server/catalog.js). The owner uses one seat and invites users to the others:
+// an invitation holds a seat until the user accepts it and becomes a member.
+// Members get the owner's entitlements, see server/entitlements.js, and see
+// the change right away (server/live-updates.js). A user is a member of one
+// team at most. Inviting a username answers the same whether it has an
+// account or not, so that the form can't be used to find out who has one.
+//
+//   GET    /team                         members and invitations of the team of the signed-in user
+//   POST   /team/members { username }    invites a user, returns the `members` and `invitations`
+//   DELETE /team/members/:username       removes a member or an invitation, same response
+//   POST   /team/seats { quantity }      changes the number of seats, returns the updated `purchase`
+//   GET    /team/invitations             teams inviting the signed-in user, `[{ owner, invitedAt }]`
+//   POST   /team/invitations/:owner      accepts the invitation of `owner`
+//   DELETE /team/invitations/:owner      declines it
+//   DELETE /team/membership              leaves the team the signed-in user is a member of
+function teamsRouter({ iaptic, catalog }) {
+  const router = express.Router();
+
+  // Sets `req.subscription` to the seat subscription of the signed-in user, and `req.maxSeats`
+  async function requireSeatSubscription(req, res, next) {
+    const { subscription, team } = getEntitlements(req.user.username);
+    let product;
+    try {
+      product = subscription && await catalog.findProduct(subscription.productId);
+    } catch (error) {
+      return sendError(res, 502, 'CatalogUnavailable', error.message);
+    }
+    // Members can't invite to a team they don't own
+    if (!subscription || team || getMaxSeats(product) === 1) {
+      return sendError(res, 403, 'NoSeatSubscription', 'Teams require an active subscription to a plan sold per seat');
+    }
+    req.subscription = subscription;
+    req.maxSeats = getMaxSeats(product);
+    next();
+  }
+
+  // Members and invitations of the team of `owner`
+  function getTeam(owner) {
+    return { members: getTeamMembers(owner), invitations: getTeamInvitations(owner) };
+  }
+
+  router.get('/team', requireUser, requireSeatSubscription, (req, res) => {
+    res.json({ ok: true, seats: req.subscription.quantity || 1, ...getTeam(req.user.username) });
+  });
+
+  router.post('/team/members', requireUser, requireSeatSubscription, (req, res) => {
+    const owner = req.user.username;
+    const username = normalizeUsername(req.body.username);
+    if (!username) return sendError(res, 400, 'InvalidUsername', 'username is required');
+    if (username === owner) return sendError(res, 400, 'AlreadyMember', 'You are already in your team');
+
+    const { members, invitations } = getTeam(owner);
+    if (members.some(m => m.username === username)) {
+      return sendError(res, 409, 'AlreadyMember', `${username} is already in your team`);
+    }
+    if (invitations.some(i => i.username === username)) {
+      return sendError(res, 409, 'AlreadyInvited', `${username} is already invited`);
+    }
+    if (members.length + invitations.length + 1 >= (req.subscription.quantity || 1)) {
+      return sendError(res, 409, 'NoSeatsLeft', 'Every seat is taken, add seats first');
+    }
+    inviteTeamMember(owner, username);
+    // Their open pages show the invitation, if they have an account
+    publishPurchasesUpdate(username);
+    res.status(201).json({ ok: true, ...getTeam(owner) });
+  });
+
+  router.delete('/team/members/:username', requireUser, (req, res) => {
+    const username = normalizeUsername(req.params.username);
+    if (!removeTeamMember(req.user.username, username)) {
+      return sendError(res, 404, 'MemberNotFound', `${username} is not in your team`);
+    }
+    publishPurchasesUpdate(username);
+    res.json({ ok: true, ...getTeam(req.user.username) });
+  });
+
+  router.get('/team/invitations', requireUser, (req, res) => {
+    res.json({ ok: true, invitations: findTeamInvitations(req.user.username) });
+  });
+
+  router.post('/team/invitations/:owner', requireUser, (req, res) => {
+    const owner = normalizeUsername(req.params.owner);
+    const error = acceptTeamInvitation(owner, req.user.username);
+    if (error === 'InvitationNotFound') {
+      return sendError(res, 404, error, `${owner} hasn't invited you to their team`);
+    }
+    if (error === 'AlreadyInTeam') return sendError(res, 409, error, 'Leave your current team first');
+    // The owner, the other members and the new one
+    publishPurchasesUpdate(owner);
+    res.json({ ok: true, team: { owner } });
+  });
+
+  router.delete('/team/invitations/:owner', requireUser, (req, res) => {
+    const owner = normalizeUsername(req.params.owner);
+    const invited = getTeamInvitations(owner).some(i => i.username === req.user.username);
+    if (!invited) return sendError(res, 404, 'InvitationNotFound', `${owner} hasn't invited you to their team`);
+    removeTeamMember(owner, req.user.username);
+    publishPurchasesUpdate(owner);
+    res.json({ ok: true });
+  });
+
+  router.delete('/team/membership', requireUser, (req, res) => {
+    const owner = findTeamOwner(req.user.username);
+    if (!owner) return sendError(res, 404, 'MemberNotFound', 'You are not a member of a team');
+    removeTeamMember(owner, req.user.username);
+    publishPurchasesUpdate(owner);
+    publishPurchasesUpdate(req.user.username);
+    res.json({ ok: true });
+  });
+
+  router.post('/team/seats', requireUser, requireSeatSubscription, async (req, res) => {
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > req.maxSeats) {
+      return sendError(res, 400, 'InvalidQuantity', `quantity must be between 1 and ${req.maxSeats}`);
+    }
+    const { members, invitations } = getTeam(req.user.username);
+    if (quantity < members.length + invitations.length + 1) {
+      return sendError(res, 409, 'SeatsInUse', 'Remove members or invitations before removing their seats');
+    }
+    try {
+      const purchase = await iaptic.updateQuantity({
+        purchaseId: req.subscription.purchaseId,
+        applicationUsername: req.user.username,
+        quantity,
+      });
+      res.json({ ok: true, purchase });
+    } catch (error) {
+      if (!error.code) console.error('iaptic request failed:', error);
+      sendError(res, error.status || 502, error.code || 'IapticUnavailable', error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { teamsRouter };
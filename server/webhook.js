@@ -0,0 +1,38 @@
+const express = require('express');
+const { recordPurchases } = require('./entitlements');
+const { publishPurchasesUpdate } = require('./live-updates');
+const { sendError, safeEqual } = require('./http');
+
+// Receives iaptic purchase notifications.
+//
+// Configure `https://<your server>/webhooks/iaptic` as the webhook URL in iaptic
+// settings. iaptic includes the application's secret key as `password` in every
+// notification, which must match IAPTIC_SECRET_KEY.
+function webhookRouter({ secretKey = process.env.IAPTIC_SECRET_KEY } = {}) {
+  const router = express.Router();
+
+  router.post('/iaptic', (req, res) => {
+    if (!secretKey) return sendError(res, 503, 'WebhookNotConfigured', 'IAPTIC_SECRET_KEY is not set');
+    if (!safeEqual(req.body?.password || '', secretKey)) {
+      return sendError(res, 401, 'InvalidPassword', 'Invalid webhook password');
+    }
+    res.json({ ok: true, ...handleNotification(req.body) });
+  });
+
+  return router;
+}
+
+// Processes an already authenticated notification. Also called directly by the mock.
+function handleNotification(notification) {
+  if (notification.type !== 'purchases.updated') return { ignored: true };
+  if (!notification.applicationUsername) return { ignored: true };
+
+  // `purchases` is an object keyed by purchase id
+  const purchases = Object.values(notification.purchases || {});
+  const updated = recordPurchases(notification.applicationUsername, purchases);
+  // Open pages of the user show the change right away
+  if (updated) publishPurchasesUpdate(notification.applicationUsername);
+  return { updated };
+}
+
+module.exports = { webhookRouter, handleNotification };
@@ -0,0 +1,100 @@
+// Cache in front of the iaptic adapter. Identical requests made at the same
+// time share one call, the catalog is kept in localStorage so the page renders
+// from it right away, and purchases are kept in memory until invalidated.
+
+const PRODUCTS_STORAGE_KEY = 'iaptic_demo_products';
+const PRODUCTS_TTL = 5 * 60 * 1000;
+
+const pendingRequests = new Map();
+const productsListeners = [];
+
+/** Purchases of `username` as last loaded, `null` once invalidated */
+let cachedPurchases = null;
+
+// Runs `request` unless a request with the same key is still pending, in which case its result is shared
+function dedupe(key, request) {
+    if (!pendingRequests.has(key)) {
+        pendingRequests.set(key, request().finally(() => pendingRequests.delete(key)));
+    }
+    return pendingRequests.get(key);
+}
+
+// Catalogs of different apps (or of the mock) must not be mixed up
+function getCatalogKey() {
+    const { type, appName } = window.IAPTIC_STRIPE_CREDENTIALS || {};
+    return `${type}:${appName}`;
+}
+
+function getProductsTtl() {
+    // Fixtures can be edited while the mock runs, so its catalog is always revalidated
+    return window.IAPTIC_STRIPE_CREDENTIALS?.type === 'mock' ? 0 : PRODUCTS_TTL;
+}
+
+function readCachedProducts() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(PRODUCTS_STORAGE_KEY));
+        return cached?.catalog === getCatalogKey() ? cached : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/** Products from the cache, whatever their age, `null` if there are none */
+function getCachedProducts() {
+    return readCachedProducts()?.products || null;
+}
+
+function fetchProducts() {
+    return dedupe('products', async () => {
+        const previous = getCachedProducts();
+        const products = await iaptic.getProducts();
+        localStorage.setItem(PRODUCTS_STORAGE_KEY, JSON.stringify({
+            catalog: getCatalogKey(),
+            savedAt: Date.now(),
+            products
+        }));
+        if (previous && JSON.stringify(previous) !== JSON.stringify(products)) {
+            productsListeners.forEach(listener => listener(products));
+        }
+        return products;
+    });
+}
+
+/**
+ * The product catalog. A cached catalog is returned right away, and refreshed
+ * in the background once older than PRODUCTS_TTL (stale-while-revalidate):
+ * listeners registered with onProductsUpdate() then receive the new one.
+ */
+async function loadProducts() {
+    const cached = readCachedProducts();
+    if (!cached) return fetchProducts();
+    if (Date.now() - cached.savedAt >= getProductsTtl()) {
+        fetchProducts().catch(error => reportError(error, 'products'));
+    }
+    return cached.products;
+}
+
+function invalidateProducts() {
+    localStorage.removeItem(PRODUCTS_STORAGE_KEY);
+}
+
+function onProductsUpdate(listener) {
+    productsListeners.push(listener);
+}
+
+/** Purchases of the signed-in user, none when signed out, see invalidatePurchases() */
+async function loadPurchases() {
+    const username = currentUser?.username;
+    if (!username) return [];
+    if (cachedPurchases?.username === username) return cachedPurchases.purchases;
+    return dedupe(`purchases:${username}`, async () => {
+        const purchases = await iaptic.getPurchases();
+        cachedPurchases = { username, purchases };
+        return purchases;
+    });
+}
+
+// To call after anything that changes purchases: checkouts, plan changes, ...
+function invalidatePurchases() {
+    cachedPurchases = null;
+}
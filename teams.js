@@ -0,0 +1,253 @@
+// Team subscriptions: plans with a `maxSeats` metadata are sold per seat, up
+// to that many seats (see server/catalog.js). The buyer picks the number of
+// seats on the pricing card, then invites users to the other seats from the
+// subscription panel, through server.js (see server/teams.js). Invited users
+// accept from their own subscription panel, then get the access of the
+// owner's plan.
+
+/** Number of seats picked on the pricing cards, by product id */
+const selectedSeats = {};
+
+/** Team of the signed-in user, `{ seats, members, invitations }` as returned by server.js (`null` if they don't own a seat plan) */
+let currentTeam = null;
+
+/** Teams inviting the signed-in user, `[{ owner, invitedAt }]` as returned by server.js */
+let currentInvitations = [];
+
+/** Why server.js refused the last change to the team, shown above its forms (`null` if none) */
+let teamError = null;
+
+function getMaxSeats(product) {
+    return Math.max(Number(product?.metadata?.maxSeats) || 1, 1);
+}
+
+function isSeatPlan(product) {
+    return getMaxSeats(product) > 1;
+}
+
+// Seats to buy with `offerId`, `undefined` for plans that aren't sold per seat
+function getSelectedSeats(offerId) {
+    const product = currentProducts.find(p => p.offers.some(o => o.id === offerId));
+    if (!isSeatPlan(product)) return undefined;
+    return Math.min(selectedSeats[product.id] || 1, getMaxSeats(product));
+}
+
+// `offer` priced for `quantity` seats, e.g. to estimate a plan change of a team
+function getOfferForSeats(offer, quantity) {
+    if (quantity === 1) return offer;
+    return {
+        ...offer,
+        pricingPhases: offer.pricingPhases.map(phase => ({ ...phase, priceMicros: phase.priceMicros * quantity }))
+    };
+}
+
+async function loadTeam() {
+    try {
+        currentTeam = await apiRequest('GET', '/api/team');
+    } catch (error) {
+        // Most users don't own a team
+        if (error.code !== 'NoSeatSubscription') reportError(error, 'team');
+        currentTeam = null;
+    }
+    return currentTeam;
+}
+
+async function loadTeamInvitations() {
+    try {
+        ({ invitations: currentInvitations } = await apiRequest('GET', '/api/team/invitations'));
+    } catch (error) {
+        reportError(error, 'team');
+        currentInvitations = [];
+    }
+    return currentInvitations;
+}
+
+// Calls server.js to invite or remove a member, keeping the reason it refused in teamError
+async function updateTeamMembers(method, path, body) {
+    teamError = null;
+    try {
+        const { members, invitations } = await apiRequest(method, path, body);
+        currentTeam = { ...currentTeam, members, invitations };
+    } catch (error) {
+        teamError = getErrorMessage(error);
+    }
+}
+
+function inviteMember(username) {
+    return updateTeamMembers('POST', '/api/team/members', { username: username.trim() });
+}
+
+function removeMember(username) {
+    return updateTeamMembers('DELETE', `/api/team/members/${encodeURIComponent(username)}`);
+}
+
+// Accepts, declines (`DELETE`) an invitation or leaves a team, then shows the access it gives or takes.
+// Resolves with `false` when server.js refused, the reason being in teamError.
+async function updateMembership(method, path) {
+    teamError = null;
+    try {
+        await apiRequest(method, path);
+    } catch (error) {
+        teamError = getErrorMessage(error);
+        return false;
+    }
+    await reloadPurchasesAndPrices();
+    return true;
+}
+
+function acceptInvitation(owner) {
+    return updateMembership('POST', `/api/team/invitations/${encodeURIComponent(owner)}`);
+}
+
+function declineInvitation(owner) {
+    return updateMembership('DELETE', `/api/team/invitations/${encodeURIComponent(owner)}`);
+}
+
+function leaveTeam() {
+    return updateMembership('DELETE', '/api/team/membership');
+}
+
+// Options from 1 (or `min`) to the plan's maximum, "3 seats"
+function renderSeatOptions(product, selected, min = 1) {
+    return Array.from({ length: getMaxSeats(product) - min + 1 }, (_, i) => min + i).map(count => html`
+        <option value="${count}" ${count === selected ? 'selected' : ''}>${t('seats.count', { count })}</option>
+    `);
+}
+
+// Number of seats and total price of `offer`, above its subscribe button
+function renderSeatSelector(offer) {
+    const product = currentProducts.find(p => p.offers.includes(offer));
+    if (!isSeatPlan(product)) return '';
+    const quantity = getSelectedSeats(offer.id);
+    const phase = offer.pricingPhases.slice(-1)[0];
+    return html`
+        <div class="mb-2">
+            <div class="text-muted small mb-1">${t('seats.perSeat')}</div>
+            <select class="form-select form-select-sm mx-auto" style="max-width: 10rem" aria-label="${t('seats.label')}"
+                    data-action="change-seats" data-product-id="${product.id}">
+                ${renderSeatOptions(product, quantity)}
+            </select>
+            ${quantity > 1 ? html`
+                <div class="fw-bold mt-1">
+                    ${t('seats.total', {
+                        price: formatPrice(phase.priceMicros * quantity, phase.currency),
+                        period: formatPeriod(phase.billingPeriod),
+                        count: quantity
+                    })}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Members of the team, the invite form and the number of seats, in the subscription panel
+function renderTeamSection(purchase, product, offer) {
+    if (!currentTeam || !isSeatPlan(product)) return '';
+    const { seats, members, invitations } = currentTeam;
+    // Invitations hold their seat until accepted
+    const used = members.length + invitations.length + 1;
+    const phase = offer?.pricingPhases.slice(-1)[0];
+    return html`
+        <div class="mt-4" id="team">
+            <h4>${t('team.title')}</h4>
+            <p class="text-muted">${t('team.seatsUsed', { used, count: seats })}</p>
+            <table class="table table-sm">
+                <tr>
+                    <td>${currentUser.username} <span class="badge bg-primary-lt ms-1">${t('team.owner')}</span></td>
+                    <td></td>
+                </tr>
+                ${members.map(member => html`
+                    <tr>
+                        <td>
+                            ${member.username}
+                            <div class="small text-muted">${t('team.addedOn', { date: formatDate(member.addedAt) })}</div>
+                        </td>
+                        <td class="text-end">
+                            <button class="btn btn-sm btn-link text-danger" data-action="remove-member" data-username="${member.username}">
+                                ${t('team.remove')}
+                            </button>
+                        </td>
+                    </tr>
+                `)}
+                ${invitations.map(invitation => html`
+                    <tr>
+                        <td>
+                            ${invitation.username} <span class="badge bg-secondary-lt ms-1">${t('team.pending')}</span>
+                            <div class="small text-muted">${t('team.invitedOn', { date: formatDate(invitation.invitedAt) })}</div>
+                        </td>
+                        <td class="text-end">
+                            <button class="btn btn-sm btn-link text-danger" data-action="remove-member" data-username="${invitation.username}">
+                                ${t('team.cancelInvitation')}
+                            </button>
+                        </td>
+                    </tr>
+                `)}
+            </table>
+            ${teamError ? html`<div class="alert alert-danger" role="alert">${teamError}</div>` : ''}
+            ${used < seats ? html`
+                <form class="input-group mb-3" style="max-width: 24rem" data-action="invite-member">
+                    <input class="form-control" name="username" placeholder="${t('team.username')}"
+                           aria-label="${t('team.username')}" autocomplete="off" required>
+                    <button class="btn btn-primary">${t('team.invite')}</button>
+                </form>
+            ` : html`
+                <p class="text-muted small">${t('team.noSeatsLeft')}</p>
+            `}
+            <form class="d-flex flex-wrap align-items-center gap-2" data-action="update-seats">
+                <select class="form-select form-select-sm w-auto" name="quantity" aria-label="${t('seats.label')}">
+                    ${renderSeatOptions(product, seats, used)}
+                </select>
+                <button class="btn btn-sm">${t('seats.update')}</button>
+                ${phase ? html`
+                    <span class="text-muted small">
+                        ${t('seats.updateNote', { price: formatPrice(phase.priceMicros, phase.currency), period: formatPeriod(phase.billingPeriod) })}
+                    </span>
+                ` : ''}
+            </form>
+        </div>
+    `;
+}
+
+// In place of the subscription panel, for members of a team without a subscription of their own
+function renderTeamMembership(products) {
+    const team = currentEntitlements?.team;
+    if (!team) return '';
+    const productId = currentEntitlements.subscription.productId.replace('stripe:', '');
+    const product = products?.find(p => p.id === productId);
+    return html`
+        <div class="card">
+            <div class="card-body">
+                <h3 class="card-title">${t('team.memberTitle')}</h3>
+                <p class="text-muted">
+                    ${t('team.memberText', { owner: team.owner, plan: product?.title || t('subscription.defaultTitle') })}
+                </p>
+                ${teamError && currentInvitations.length === 0 ? html`<div class="alert alert-danger" role="alert">${teamError}</div>` : ''}
+                <button class="btn btn-sm btn-link text-danger p-0" data-action="leave-team">${t('team.leave')}</button>
+            </div>
+        </div>
+    `;
+}
+
+// Invitations to join a team, above the subscription panel of the invited user
+function renderTeamInvitations() {
+    if (currentInvitations.length === 0) return '';
+    return html`
+        <div class="card mb-3">
+            <div class="card-body">
+                <h3 class="card-title">${t('team.invitationTitle')}</h3>
+                ${teamError ? html`<div class="alert alert-danger" role="alert">${teamError}</div>` : ''}
+                ${currentInvitations.map(invitation => html`
+                    <div class="d-flex flex-wrap align-items-center gap-2 mb-2">
+                        <div class="me-auto">${t('team.invitationText', { owner: invitation.owner })}</div>
+                        <button class="btn btn-sm btn-primary" data-action="accept-invitation" data-owner="${invitation.owner}">
+                            ${t('team.accept')}
+                        </button>
+                        <button class="btn btn-sm" data-action="decline-invitation" data-owner="${invitation.owner}">
+                            ${t('team.decline')}
+                        </button>
+                    </div>
+                `)}
+            </div>
+        </div>
+    `;
+}